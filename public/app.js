@@ -1,32 +1,80 @@
+// Date#getDay() の順（0=日）の曜日名
+const DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 出席ステータス（ボタンの並び順）。キーは src/statuses.js と揃える。
+// present は出席扱い（集計の「出席」に含める）、always はカードの集計に常に表示する
+const STATUSES = [
+    { key: 'attend', label: '参加', icon: '✓', present: true, always: true },
+    { key: 'remote', label: 'リモート', icon: '🏠', present: true },
+    { key: 'late', label: '遅刻', icon: '⏰', present: true },
+    { key: 'early_leave', label: '早退', icon: '↩', present: true },
+    { key: 'half_day', label: '半休', icon: '◐', present: true },
+    { key: 'tentative', label: '未定', icon: '？', present: false },
+    { key: 'absent', label: '欠席', icon: '✗', present: false, always: true }
+];
+
+// 「元に戻す」を表示しておく時間（サーバー側の受付は30秒）
+const UNDO_TOAST_DURATION = 6000;
+
+// Webhookで購読できるイベント（src/server.js の WEBHOOK_EVENTS と揃える）
+const WEBHOOK_EVENTS = ['attendance.changed', 'member.added', 'member.deleted', 'default.changed', 'day.reset'];
+
 class AttendanceApp {
     constructor() {
         this.ws = null;
         this.data = null;
+        // 週データの版（サーバーの seq）。読み込み中に届いた差分は pendingUpdates に貯める
+        this.seq = null;
+        this.loadingWeek = false;
+        this.pendingUpdates = [];
+        this.currentMember = null;
+        this.team = null;
         this.currentMobileIndex = 0;
+        this.mobileCardCount = 5;
+        this.undoId = null;
+        this.undoToastTimer = null;
+        this.draggedMemberId = null;
+        // /t/:team/ で開かれた場合はそのチームのAPIを使う
+        const teamMatch = window.location.pathname.match(/^\/t\/[^/]+/);
+        this.basePath = teamMatch ? teamMatch[0] : '';
+        // グループ（タグ）での絞り込みはチームごとにブラウザへ保存する
+        this.groupFilterKey = `attendcard_group_filter${this.basePath}`;
+        this.groupFilter = localStorage.getItem(this.groupFilterKey) || '';
+        this.renderedGroups = '';
         this.init();
     }
 
     init() {
         this.setupWebSocket();
-        this.loadWeekData();
+        this.setupToolbar();
+        this.setupModal();
+        this.setupUndoToast();
+        this.setupMemberDragAndDrop();
+        this.loadTeam();
+        this.loadSession().then(() => this.loadWeekData());
         this.setupMobileSwipe();
     }
 
     setupWebSocket() {
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const wsUrl = `${protocol}//${window.location.host}/ws`;
+        const wsUrl = `${protocol}//${window.location.host}${this.basePath}/ws`;
         
         this.ws = new WebSocket(wsUrl);
         
         this.ws.onopen = () => {
             console.log('WebSocket connected');
+            // 再接続時は切断中の更新を取りこぼしているので取り直す
+            if (this.data) {
+                this.loadWeekData();
+            }
         };
         
         this.ws.onmessage = (event) => {
             const message = JSON.parse(event.data);
             if (message.type === 'weekly_update') {
-                this.data = message.data;
-                this.renderWeekDays();
+                this.applySnapshot(message.data);
+            } else if (message.type === 'member_update') {
+                this.applyMemberUpdate(message);
             } else if (message.type === 'auto_reset') {
                 alert(message.message);
             }
@@ -46,6 +94,1737 @@ class AttendanceApp {
 
 
 
+    apiUrl(path) {
+        return `${this.basePath}${path}`;
+    }
+
+    async loadTeam() {
+        try {
+            const response = await fetch(this.apiUrl('/api/team'));
+            this.team = await response.json();
+            document.title = `${this.team.name} - 出席管理`;
+        } catch (error) {
+            console.error('Failed to load team:', error);
+        }
+    }
+
+    async loadSession() {
+        try {
+            const response = await fetch(this.apiUrl('/api/auth/me'));
+            const result = await response.json();
+            this.currentMember = result.member;
+        } catch (error) {
+            console.error('Failed to load session:', error);
+            this.currentMember = null;
+        }
+        this.renderToolbar();
+    }
+
+    isCurrentMember(memberId) {
+        return this.currentMember !== null && this.currentMember.id === memberId;
+    }
+
+    isAdmin() {
+        return this.currentMember !== null && this.currentMember.role === 'admin';
+    }
+
+    setupToolbar() {
+        document.getElementById('toolbar').addEventListener('change', (event) => {
+            if (event.target.name === 'groupFilter') {
+                this.setGroupFilter(event.target.value);
+            }
+        });
+
+        document.getElementById('toolbar').addEventListener('click', (event) => {
+            const button = event.target.closest('button');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'login':
+                    this.showLoginDialog();
+                    break;
+                case 'logout':
+                    this.logout();
+                    break;
+                case 'change-password':
+                    this.showChangePasswordDialog();
+                    break;
+                case 'reset-today':
+                    this.resetToday();
+                    break;
+                case 'manage-members':
+                    this.showMemberManagement();
+                    break;
+                case 'show-history':
+                    this.showHistory();
+                    break;
+                case 'show-report':
+                    this.showReport();
+                    break;
+                case 'export-csv':
+                    this.showExportDialog();
+                    break;
+                case 'show-settings':
+                    this.showSettings();
+                    break;
+                case 'manage-closures':
+                    this.showClosures();
+                    break;
+                case 'show-audit':
+                    this.showAuditLog();
+                    break;
+                case 'manage-webhooks':
+                    this.showWebhooks();
+                    break;
+                case 'show-periods':
+                    this.showPeriods();
+                    break;
+            }
+        });
+    }
+
+    renderToolbar() {
+        const toolbar = document.getElementById('toolbar');
+        const groups = this.getGroups();
+        const groupSelect = groups.length > 0 ? `
+            <select class="toolbar-select" name="groupFilter" title="グループで絞り込み">
+                <option value="">全員</option>
+                ${groups.map(group => `<option value="${group}" ${group === this.groupFilter ? 'selected' : ''}>${group}</option>`).join('')}
+            </select>
+        ` : '';
+        const commonControls = `
+            ${groupSelect}
+            <button class="toolbar-btn" data-action="show-history" title="過去の出席">📅 履歴</button>
+            <button class="toolbar-btn" data-action="show-report" title="出席レポート">📊 レポート</button>
+        `;
+
+        if (this.currentMember) {
+            const adminControls = this.isAdmin() ? `
+                <button class="toolbar-btn" data-action="manage-members" title="メンバー管理">👥</button>
+                <button class="toolbar-btn" data-action="reset-today" title="今日の出席をリセット">🔄 リセット</button>
+                <button class="toolbar-btn" data-action="export-csv" title="出席をCSVでダウンロード">⬇ CSV</button>
+                <button class="toolbar-btn" data-action="manage-closures" title="休業日の設定">🎌</button>
+                <button class="toolbar-btn" data-action="show-audit" title="変更履歴（監査ログ）">📝</button>
+                <button class="toolbar-btn" data-action="manage-webhooks" title="Webhook（外部連携）">🔗</button>
+                <button class="toolbar-btn" data-action="show-settings" title="チーム設定">⚙️</button>
+            ` : '';
+
+            toolbar.innerHTML = `
+                ${commonControls}
+                ${adminControls}
+                <button class="toolbar-btn" data-action="show-periods" title="休暇などの期間設定">🏖 休暇</button>
+                <span class="toolbar-user">👤 ${this.currentMember.name}${this.isAdmin() ? '（管理者）' : ''}</span>
+                <button class="toolbar-btn" data-action="change-password" title="パスワード変更">🔑</button>
+                <button class="toolbar-btn" data-action="logout">ログアウト</button>
+            `;
+        } else {
+            toolbar.innerHTML = `
+                ${commonControls}
+                <button class="toolbar-btn" data-action="login">ログイン</button>
+            `;
+        }
+    }
+
+    // 週データに含まれるメンバーのタグ一覧（グループ）
+    getGroups() {
+        if (!this.data) return [];
+        const groups = new Set();
+        this.data.members.forEach(member => member.tags.forEach(tag => groups.add(tag)));
+        return [...groups].sort();
+    }
+
+    setGroupFilter(group) {
+        this.groupFilter = group;
+        if (group) {
+            localStorage.setItem(this.groupFilterKey, group);
+        } else {
+            localStorage.removeItem(this.groupFilterKey);
+        }
+        this.renderWeekDays();
+    }
+
+    // 絞り込み中のグループのメンバーだけを返す（グループが無くなっていたら全員）
+    getVisibleMembers(members) {
+        if (!this.groupFilter || !this.getGroups().includes(this.groupFilter)) {
+            return members;
+        }
+        return members.filter(member => member.tags.includes(this.groupFilter));
+    }
+
+    setupUndoToast() {
+        document.getElementById('undoToast').addEventListener('click', (event) => {
+            if (event.target.closest('button')) {
+                this.undoLastChange();
+            }
+        });
+    }
+
+    // 操作の直後に数秒だけ「元に戻す」を表示する
+    showUndoToast(message, undoId) {
+        if (!undoId) return;
+
+        const toast = document.getElementById('undoToast');
+        toast.innerHTML = `<span>${message}</span><button data-action="undo">元に戻す</button>`;
+        toast.hidden = false;
+        this.undoId = undoId;
+
+        clearTimeout(this.undoToastTimer);
+        this.undoToastTimer = setTimeout(() => this.hideUndoToast(), UNDO_TOAST_DURATION);
+    }
+
+    hideUndoToast() {
+        clearTimeout(this.undoToastTimer);
+        document.getElementById('undoToast').hidden = true;
+        this.undoId = null;
+    }
+
+    async undoLastChange() {
+        const undoId = this.undoId;
+        this.hideUndoToast();
+        if (!undoId) return;
+
+        try {
+            const response = await fetch(this.apiUrl('/api/undo'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ undoId }),
+            });
+
+            if (response.status === 409) {
+                alert('この操作はもう元に戻せません。');
+                return;
+            }
+
+            if (response.status === 423) {
+                alert('回答の締切を過ぎたため元に戻せません。');
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to undo');
+            }
+
+            // データはWebSocket経由で更新される
+        } catch (error) {
+            console.error('Failed to undo:', error);
+            alert('元に戻せませんでした。もう一度お試しください。');
+        }
+    }
+
+    setupModal() {
+        const overlay = document.getElementById('modalOverlay');
+
+        overlay.addEventListener('click', (event) => {
+            // 背景クリックで閉じる
+            if (event.target === overlay) {
+                this.closeModal();
+                return;
+            }
+
+            const button = event.target.closest('button');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'close-modal':
+                    this.closeModal();
+                    break;
+                case 'toggle-admin':
+                    this.setMemberRole(
+                        parseInt(button.dataset.memberId),
+                        button.dataset.role
+                    );
+                    break;
+                case 'reset-password':
+                    this.resetMemberPassword(
+                        parseInt(button.dataset.memberId),
+                        button.dataset.memberName
+                    );
+                    break;
+                case 'import-run':
+                    this.runImport();
+                    break;
+                case 'rename-member':
+                    this.renameMember(
+                        parseInt(button.dataset.memberId),
+                        button.dataset.memberName
+                    );
+                    break;
+                case 'edit-tags':
+                    this.editMemberTags(
+                        parseInt(button.dataset.memberId),
+                        button.dataset.tags
+                    );
+                    break;
+                case 'restore-member':
+                    this.restoreMember(parseInt(button.dataset.memberId));
+                    break;
+                case 'purge-member':
+                    this.purgeMember(
+                        parseInt(button.dataset.memberId),
+                        button.dataset.memberName
+                    );
+                    break;
+                case 'delete-closure':
+                    this.deleteClosure(button.dataset.date);
+                    break;
+                case 'delete-webhook':
+                    this.deleteWebhook(parseInt(button.dataset.webhookId));
+                    break;
+                case 'webhook-deliveries':
+                    this.showWebhookDeliveries(parseInt(button.dataset.webhookId));
+                    break;
+                case 'manage-webhooks':
+                    this.showWebhooks();
+                    break;
+                case 'delete-period':
+                    this.deletePeriod(parseInt(button.dataset.periodId));
+                    break;
+                case 'test-reminder':
+                    this.testReminder();
+                    break;
+                case 'test-summary-email':
+                    this.testSummaryEmail();
+                    break;
+                case 'pin-weekday':
+                    this.pinWeekdayDefault();
+                    break;
+                case 'delete-rule':
+                    this.deleteRule(parseInt(button.dataset.ruleId));
+                    break;
+                case 'audit-more':
+                    this.loadAuditLog(true);
+                    break;
+                case 'history-prev':
+                    this.moveHistoryMonth(-1);
+                    break;
+                case 'history-next':
+                    this.moveHistoryMonth(1);
+                    break;
+                case 'report-range':
+                    this.setReportRange(button.dataset.range);
+                    this.loadReport();
+                    break;
+                case 'history-day':
+                    this.historySelectedDate = button.dataset.date;
+                    this.openModal(this.getHistoryTitle(), this.generateHistoryHTML(), { wide: true });
+                    break;
+            }
+        });
+
+        overlay.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const form = event.target;
+
+            switch (form.dataset.form) {
+                case 'login':
+                    this.login(parseInt(form.memberId.value), form.password.value, form.setupCode.value);
+                    break;
+                case 'change-password':
+                    this.changePassword(form.currentPassword.value, form.newPassword.value);
+                    break;
+                case 'export':
+                    this.downloadCsv(form.from.value, form.to.value);
+                    break;
+                case 'import-preview':
+                    this.previewImport(form.file.files[0]);
+                    break;
+                case 'settings':
+                    this.saveSettings(form);
+                    break;
+                case 'closure':
+                    this.addClosure(form.date.value, form.name.value.trim());
+                    break;
+                case 'webhook':
+                    this.addWebhook(form);
+                    break;
+                case 'pin-rule':
+                    this.addRule(form);
+                    break;
+                case 'period':
+                    this.addPeriod({
+                        startDate: form.startDate.value,
+                        endDate: form.endDate.value,
+                        status: form.status.value,
+                        reason: form.reason.value.trim() || null
+                    });
+                    break;
+                case 'audit':
+                    this.auditQuery = {
+                        memberId: form.memberId.value,
+                        source: form.source.value,
+                        date: form.date.value,
+                        from: form.from.value,
+                        to: form.to.value
+                    };
+                    this.loadAuditLog(false);
+                    break;
+                case 'report':
+                    this.reportQuery = {
+                        from: form.from.value,
+                        to: form.to.value,
+                        groupBy: form.groupBy.value
+                    };
+                    this.loadReport();
+                    break;
+            }
+        });
+    }
+
+    openModal(title, bodyHTML, options = {}) {
+        const modal = document.getElementById('modal');
+        modal.classList.toggle('modal-wide', Boolean(options.wide));
+        modal.innerHTML = `
+            <div class="modal-header">
+                <div class="modal-title">${title}</div>
+                <button class="modal-close" data-action="close-modal" title="閉じる">✕</button>
+            </div>
+            <div class="modal-body">${bodyHTML}</div>
+        `;
+        document.getElementById('modalOverlay').hidden = false;
+
+        const firstInput = document.querySelector('#modal input, #modal select');
+        if (firstInput) firstInput.focus();
+    }
+
+    closeModal() {
+        document.getElementById('modalOverlay').hidden = true;
+        document.getElementById('modal').innerHTML = '';
+    }
+
+    showLoginDialog() {
+        const members = this.data ? this.data.members : [];
+        const options = members.map(member => 
+            `<option value="${member.id}">${member.name}</option>`
+        ).join('');
+
+        this.openModal('ログイン', `
+            <form data-form="login">
+                <div class="form-row">
+                    <label for="loginMember">メンバー</label>
+                    <select id="loginMember" name="memberId" required>${options}</select>
+                </div>
+                <div class="form-row">
+                    <label for="loginPassword">パスワード</label>
+                    <input id="loginPassword" name="password" type="password" autocomplete="current-password" required>
+                </div>
+                <div class="form-row">
+                    <label for="loginSetupCode">ログインコード（初回のみ）</label>
+                    <input id="loginSetupCode" name="setupCode" type="text" autocomplete="one-time-code">
+                </div>
+                <div class="form-note">初めてログインする場合やパスワードを初期化された場合は、管理者から受け取ったログインコードを入力してください。ここで入力したパスワード（6文字以上）が設定されます。</div>
+                <button class="btn btn-primary" type="submit">ログイン</button>
+            </form>
+        `);
+    }
+
+    async login(memberId, password, setupCode) {
+        try {
+            const response = await fetch(this.apiUrl('/api/auth/login'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ memberId, password, setupCode: setupCode || undefined }),
+            });
+
+            if (response.status === 401) {
+                alert(setupCode ? 'パスワードまたはログインコードが違います。ログインコードの期限が切れている場合は管理者に再発行を依頼してください。' : 'パスワードが違います。');
+                return;
+            }
+
+            if (response.status === 400 && !setupCode) {
+                alert('パスワードが未設定です。管理者から受け取ったログインコードを入力してください。');
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to login');
+            }
+
+            const result = await response.json();
+            this.currentMember = result.member;
+            this.closeModal();
+            this.renderToolbar();
+            this.renderWeekDays();
+        } catch (error) {
+            console.error('Failed to login:', error);
+            alert('ログインに失敗しました。パスワードは6文字以上で入力してください。');
+        }
+    }
+
+    async logout() {
+        try {
+            await fetch(this.apiUrl('/api/auth/logout'), { method: 'POST' });
+        } catch (error) {
+            console.error('Failed to logout:', error);
+        }
+        this.currentMember = null;
+        this.renderToolbar();
+        this.renderWeekDays();
+    }
+
+    showChangePasswordDialog() {
+        this.openModal('パスワード変更', `
+            <form data-form="change-password">
+                <div class="form-row">
+                    <label for="currentPassword">現在のパスワード</label>
+                    <input id="currentPassword" name="currentPassword" type="password" autocomplete="current-password" required>
+                </div>
+                <div class="form-row">
+                    <label for="newPassword">新しいパスワード（6文字以上）</label>
+                    <input id="newPassword" name="newPassword" type="password" autocomplete="new-password" minlength="6" required>
+                </div>
+                <button class="btn btn-primary" type="submit">変更</button>
+            </form>
+        `);
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        try {
+            const response = await fetch(this.apiUrl('/api/auth/password'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ currentPassword, newPassword }),
+            });
+
+            if (response.status === 401) {
+                alert('現在のパスワードが違います。');
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to change password');
+            }
+
+            this.closeModal();
+            alert('パスワードを変更しました。');
+        } catch (error) {
+            console.error('Failed to change password:', error);
+            alert('パスワードの変更に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async showMemberManagement() {
+        try {
+            const response = await fetch(this.apiUrl('/api/members'));
+            const members = await response.json();
+            const archivedResponse = await fetch(this.apiUrl('/api/members/archived'));
+            const archivedMembers = archivedResponse.ok ? await archivedResponse.json() : [];
+
+            const rows = members.map(member => {
+                const isAdmin = member.role === 'admin';
+                return `<div class="manage-row">
+                    <span class="member-name">${member.name}${isAdmin ? ' 👑' : ''}</span>
+                    ${member.tags.map(tag => `<span class="member-tag">${tag}</span>`).join('')}
+                    <div class="manage-buttons">
+                        <button class="toolbar-btn-dark" data-action="rename-member" data-member-id="${member.id}" data-member-name="${member.name}">
+                            名前変更
+                        </button>
+                        <button class="toolbar-btn-dark" data-action="edit-tags" data-member-id="${member.id}" data-tags="${member.tags.join(',')}">
+                            グループ
+                        </button>
+                        <button class="toolbar-btn-dark" data-action="toggle-admin" data-member-id="${member.id}" data-role="${isAdmin ? 'member' : 'admin'}">
+                            ${isAdmin ? '管理者解除' : '管理者にする'}
+                        </button>
+                        <button class="toolbar-btn-dark" data-action="reset-password" data-member-id="${member.id}" data-member-name="${member.name}">
+                            パスワード初期化
+                        </button>
+                    </div>
+                </div>`;
+            }).join('');
+
+            const archivedRows = archivedMembers.map(member => `<div class="manage-row">
+                <span class="member-name">${member.name}</span>
+                <div class="manage-buttons">
+                    <button class="toolbar-btn-dark" data-action="restore-member" data-member-id="${member.id}">復元</button>
+                    <button class="toolbar-btn-dark" data-action="purge-member" data-member-id="${member.id}" data-member-name="${member.name}">完全に削除</button>
+                </div>
+            </div>`).join('');
+
+            this.openModal('メンバー管理', `
+                <div class="manage-list">${rows}</div>
+                ${archivedRows ? `<div class="modal-section">
+                    <div class="modal-section-title">アーカイブ済みのメンバー</div>
+                    <div class="manage-list">${archivedRows}</div>
+                </div>` : ''}
+                <form data-form="import-preview" class="import-form">
+                    <div class="form-row">
+                        <label for="importFile">CSVから一括追加</label>
+                        <input id="importFile" name="file" type="file" accept=".csv,text/csv" required>
+                    </div>
+                    <div class="form-note">1列目に名前、続けて曜日の列に参加・リモート・欠席などのステータスを書くと曜日ごとのデフォルトになります（空欄は未回答）。1行目の見出しを省略した場合の曜日は「${this.getDayNames().join(',')}」です。</div>
+                    <button class="btn btn-primary" type="submit">内容を確認</button>
+                </form>
+            `);
+        } catch (error) {
+            console.error('Failed to load members:', error);
+            alert('メンバー一覧の取得に失敗しました。');
+        }
+    }
+
+    async renameMember(memberId, memberName) {
+        const name = prompt('新しい名前を入力してください:', memberName);
+        if (!name || !name.trim() || name.trim() === memberName) return;
+
+        try {
+            const response = await fetch(this.apiUrl(`/api/members/${memberId}`), {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ name: name.trim() }),
+            });
+
+            if (response.status === 409) {
+                alert('同じ名前のメンバーが既に存在します（アーカイブ済みのメンバーを含む）。');
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to rename member');
+            }
+
+            // 自分の名前ならツールバーの表示も変える
+            if (this.isCurrentMember(memberId)) {
+                this.currentMember.name = (await response.json()).name;
+                this.renderToolbar();
+            }
+
+            this.showMemberManagement();
+        } catch (error) {
+            console.error('Failed to rename member:', error);
+            alert('名前の変更に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async editMemberTags(memberId, currentTags) {
+        const input = prompt('グループ（チーム・役割・フロアなど）をカンマ区切りで入力してください:', currentTags);
+        if (input === null) return;
+
+        const tags = input.split(/[,、]/).map(tag => tag.trim()).filter(Boolean);
+
+        try {
+            const response = await fetch(this.apiUrl(`/api/members/${memberId}/tags`), {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ tags }),
+            });
+
+            if (response.status === 400) {
+                alert('グループは10個まで、1つ30文字以内で入力してください。');
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to update tags');
+            }
+
+            this.showMemberManagement();
+        } catch (error) {
+            console.error('Failed to update tags:', error);
+            alert('グループの更新に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async restoreMember(memberId) {
+        try {
+            const response = await fetch(this.apiUrl(`/api/members/${memberId}/restore`), { method: 'POST' });
+
+            if (!response.ok) {
+                throw new Error('Failed to restore member');
+            }
+
+            this.showMemberManagement();
+        } catch (error) {
+            console.error('Failed to restore member:', error);
+            alert('メンバーの復元に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async purgeMember(memberId, memberName) {
+        if (!confirm(`「${memberName}」を完全に削除しますか？\n\n出席履歴とデフォルト設定も削除され、元に戻せません。`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(this.apiUrl(`/api/members/${memberId}/purge`), { method: 'DELETE' });
+
+            if (!response.ok) {
+                throw new Error('Failed to purge member');
+            }
+
+            this.showMemberManagement();
+        } catch (error) {
+            console.error('Failed to purge member:', error);
+            alert('メンバーの削除に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async requestImport(dryRun) {
+        const response = await fetch(this.apiUrl('/api/members/import'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ csv: this.importCsvText, dryRun }),
+        });
+        const result = await response.json();
+
+        if (response.status === 400 && result.errors) {
+            const lines = result.errors.map(e => `${e.line}行目: ${e.error}`).join('\n');
+            alert(`CSVに問題があります。\n\n${lines}`);
+            return null;
+        }
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to import members');
+        }
+
+        return result;
+    }
+
+    async previewImport(file) {
+        if (!file) return;
+
+        try {
+            this.importCsvText = await file.text();
+            const result = await this.requestImport(true);
+            if (!result) return;
+
+            const rows = result.members.map(member => {
+                const defaults = this.getDayNames().map(day => 
+                    `${day}:${member.defaults[day] ? this.getStatusLabel(member.defaults[day]) : '-'}`
+                ).join(' ');
+                return `<div class="history-member"><span>${member.name}</span><span class="form-note">${defaults}</span></div>`;
+            }).join('');
+
+            const duplicates = result.duplicates.map(d => 
+                `<div class="history-member"><span>${d.line}行目: ${d.name}</span><span>${d.reason === 'exists' ? '登録済み' : 'ファイル内で重複'}</span></div>`
+            ).join('');
+
+            this.openModal('CSVインポートの確認', `
+                <div class="report-period">追加するメンバー（${result.members.length}人）</div>
+                ${rows || '<div class="form-note">追加できるメンバーがいません。</div>'}
+                ${duplicates ? `<div class="report-period">スキップ（重複 ${result.duplicates.length}件）</div>${duplicates}` : ''}
+                <div class="history-nav">
+                    <span></span>
+                    <button class="toolbar-btn-dark" data-action="import-run" ${result.members.length === 0 ? 'disabled' : ''}>インポート実行</button>
+                </div>
+            `, { wide: true });
+        } catch (error) {
+            console.error('Failed to preview import:', error);
+            alert('CSVの読み込みに失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async runImport() {
+        try {
+            const result = await this.requestImport(false);
+            if (!result) return;
+
+            this.importCsvText = null;
+            this.closeModal();
+            alert(`${result.imported.length}人を追加しました。${result.duplicates.length > 0 ? `（重複 ${result.duplicates.length}件はスキップ）` : ''}`);
+            // データは WebSocket 経由で更新される
+        } catch (error) {
+            console.error('Failed to import members:', error);
+            alert('インポートに失敗しました。何も追加されていません。');
+        }
+    }
+
+    async setMemberRole(memberId, role) {
+        try {
+            const response = await fetch(this.apiUrl(`/api/members/${memberId}/role`), {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ role }),
+            });
+
+            if (response.status === 409) {
+                alert('最後の管理者は解除できません。');
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to update role');
+            }
+
+            // 自分の権限を外した場合はツールバーも更新
+            if (this.isCurrentMember(memberId)) {
+                await this.loadSession();
+                this.renderWeekDays();
+                this.closeModal();
+                return;
+            }
+
+            this.showMemberManagement();
+        } catch (error) {
+            console.error('Failed to update role:', error);
+            alert('権限の変更に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async resetMemberPassword(memberId, memberName) {
+        if (!confirm(`「${memberName}」のパスワードを初期化しますか？\n\nログインコードが発行され、メンバーは次回ログイン時にそのコードで新しいパスワードを設定できます。`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(this.apiUrl(`/api/members/${memberId}/password`), {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to reset password');
+            }
+
+            const result = await response.json();
+            const expiresAt = new Date(result.expiresAt.replace(' ', 'T') + 'Z').toLocaleString('ja-JP');
+            alert(`パスワードを初期化しました。\n\nログインコード: ${result.setupCode}\n有効期限: ${expiresAt}\n\nこのコードを「${memberName}」さんに伝えてください。`);
+        } catch (error) {
+            console.error('Failed to reset password:', error);
+            alert('パスワードの初期化に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    showHistory() {
+        const now = new Date();
+        this.historyMonth = { year: now.getFullYear(), month: now.getMonth() + 1 };
+        this.historySelectedDate = null;
+        this.loadHistory();
+    }
+
+    moveHistoryMonth(delta) {
+        const date = new Date(this.historyMonth.year, this.historyMonth.month - 1 + delta, 1);
+        this.historyMonth = { year: date.getFullYear(), month: date.getMonth() + 1 };
+        this.historySelectedDate = null;
+        this.loadHistory();
+    }
+
+    formatDateString(year, month, day) {
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    getHistoryTitle() {
+        return `📅 ${this.historyMonth.year}年${this.historyMonth.month}月`;
+    }
+
+    async loadHistory() {
+        const { year, month } = this.historyMonth;
+        const lastDay = new Date(year, month, 0).getDate();
+        const from = this.formatDateString(year, month, 1);
+        const to = this.formatDateString(year, month, lastDay);
+
+        try {
+            const response = await fetch(this.apiUrl(`/api/attendance?from=${from}&to=${to}`));
+
+            if (!response.ok) {
+                throw new Error('Failed to load history');
+            }
+
+            this.historyData = await response.json();
+            this.openModal(this.getHistoryTitle(), this.generateHistoryHTML(), { wide: true });
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            alert('履歴の取得に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    // ステータスごとの人数と、出席扱い（present）・未回答（pending）の合計
+    countStatuses(members) {
+        const counts = { present: 0, pending: 0 };
+        STATUSES.forEach(status => { counts[status.key] = 0; });
+        members.forEach(m => {
+            const status = STATUSES.find(s => s.key === m.status);
+            if (!status) {
+                counts.pending++;
+                return;
+            }
+            counts[status.key]++;
+            if (status.present) counts.present++;
+        });
+        return counts;
+    }
+
+    generateHistoryHTML() {
+        const { year, month } = this.historyMonth;
+        const lastDay = new Date(year, month, 0).getDate();
+        const now = new Date();
+        const todayString = this.formatDateString(now.getFullYear(), now.getMonth() + 1, now.getDate());
+
+        // 稼働日だけの列（月曜始まり）のカレンダー。1日が週の途中なら空白で埋める
+        const dayNames = this.getDayNames();
+        const cells = [];
+        for (let day = 1; day <= lastDay; day++) {
+            const column = dayNames.indexOf(DAY_NAMES[new Date(year, month - 1, day).getDay()]);
+            if (column === -1) continue;
+
+            if (cells.length === 0) {
+                for (let i = 0; i < column; i++) {
+                    cells.push('<div class="calendar-cell empty"></div>');
+                }
+            }
+
+            const dateString = this.formatDateString(year, month, day);
+            const dayData = this.historyData.days[dateString];
+            const counts = dayData ? this.countStatuses(this.getVisibleMembers(dayData.members)) : null;
+            const classes = [
+                'calendar-cell',
+                dayData && dayData.closed ? 'closed' : '',
+                dateString === todayString ? 'today' : '',
+                dateString === this.historySelectedDate ? 'selected' : ''
+            ].join(' ');
+
+            cells.push(`<button class="${classes}" data-action="history-day" data-date="${dateString}">
+                <div class="calendar-day">${day}</div>
+                ${dayData && dayData.closed ? `<div class="calendar-closed">${dayData.closed.name}</div>` : ''}
+                ${counts && !dayData.closed ? `<div class="calendar-counts">
+                    <span class="count-attend">✓${counts.present}</span>
+                    <span class="count-absent">✗${counts.absent}</span>
+                </div>` : ''}
+            </button>`);
+        }
+
+        const headers = dayNames.map(name => `<div class="calendar-head">${name}</div>`).join('');
+
+        return `
+            <div class="history-nav">
+                <button class="toolbar-btn-dark" data-action="history-prev">◀ 前月</button>
+                <button class="toolbar-btn-dark" data-action="history-next">翌月 ▶</button>
+            </div>
+            <div class="calendar-grid" style="grid-template-columns: repeat(${dayNames.length}, 1fr)">
+                ${headers}
+                ${cells.join('')}
+            </div>
+            ${this.generateHistoryDetailHTML()}
+        `;
+    }
+
+    generateHistoryDetailHTML() {
+        const dayData = this.historySelectedDate && this.historyData.days[this.historySelectedDate];
+        if (!dayData) {
+            return '<div class="form-note">日付を選ぶとメンバーごとの出席を表示します。</div>';
+        }
+
+        const members = this.getVisibleMembers(dayData.members);
+        const rows = members.map(member => {
+            const statusClass = `status-color-${member.status || 'pending'}`;
+            const label = this.getStatusLabel(member.status);
+            const fromDefault = member.originalStatus === null && member.status !== null;
+            const source = member.period ? `（${member.period.reason || '期間'}）` : '（デフォルト）';
+
+            return `<div class="history-member">
+                <span><span class="status-indicator ${statusClass}"></span>${member.name}</span>
+                <span>${label}${fromDefault ? source : ''}${member.comment ? ` 💬 ${member.comment}` : ''}${member.checkInAt ? ` 🕘 ${this.formatWorkTime(member)}` : ''}</span>
+            </div>`;
+        }).join('');
+
+        const counts = this.countStatuses(members);
+        const date = new Date(`${dayData.date}T00:00:00`);
+        const closedNote = dayData.closed ? `<div class="form-note">🎌 ${dayData.closed.name}（休業日）のためデフォルトは適用されません。</div>` : '';
+        const formattedDate = date.toLocaleDateString('ja-JP', {
+            month: 'numeric',
+            day: 'numeric',
+            weekday: 'short'
+        });
+
+        return `
+            <div class="history-detail">
+                <div class="history-detail-title">${formattedDate}　出席 ${counts.present} / 欠席 ${counts.absent} / 未回答 ${counts.pending}</div>
+                ${closedNote}
+                ${rows}
+            </div>
+        `;
+    }
+
+    showReport() {
+        this.reportQuery = { groupBy: 'none' };
+        this.reportData = null;
+        this.setReportRange('month');
+        this.loadReport();
+    }
+
+    setReportRange(range) {
+        const now = new Date();
+        let from, to;
+
+        if (range === 'week') {
+            const monday = new Date(now);
+            monday.setDate(now.getDate() - ((now.getDay() + 6) % 7));
+            from = monday;
+            to = now;
+        } else if (range === 'last-month') {
+            from = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+            to = new Date(now.getFullYear(), now.getMonth(), 0);
+        } else {
+            from = new Date(now.getFullYear(), now.getMonth(), 1);
+            to = now;
+        }
+
+        this.reportQuery.from = this.formatDateString(from.getFullYear(), from.getMonth() + 1, from.getDate());
+        this.reportQuery.to = this.formatDateString(to.getFullYear(), to.getMonth() + 1, to.getDate());
+    }
+
+    async loadReport() {
+        const { from, to, groupBy } = this.reportQuery;
+
+        try {
+            const response = await fetch(this.apiUrl(`/api/reports/attendance?from=${from}&to=${to}&groupBy=${groupBy}`));
+
+            if (response.status === 400) {
+                const result = await response.json();
+                alert(`集計期間が正しくありません。\n${result.error}`);
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to load report');
+            }
+
+            this.reportData = await response.json();
+            this.openModal('📊 出席レポート', this.generateReportHTML(), { wide: true });
+        } catch (error) {
+            console.error('Failed to load report:', error);
+            alert('レポートの取得に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    generateReportHTML() {
+        const { from, to, groupBy } = this.reportQuery;
+        const groupOptions = [
+            ['none', 'まとめて'],
+            ['week', '週ごと'],
+            ['month', '月ごと']
+        ].map(([value, label]) => 
+            `<option value="${value}" ${value === groupBy ? 'selected' : ''}>${label}</option>`
+        ).join('');
+
+        const tables = this.reportData.periods.map(period => {
+            const rows = period.members.map(member => `<tr>
+                <td>${member.name}${member.archived ? '（アーカイブ済み）' : ''}</td>
+                <td class="num count-attend">${member.present}</td>
+                ${STATUSES.map(status => `<td class="num">${member.statuses[status.key]}</td>`).join('')}
+                <td class="num">${member.unanswered}</td>
+                <td class="num">${member.attendanceRate === null ? '-' : `${Math.round(member.attendanceRate * 100)}%`}</td>
+                <td class="num">${member.deviations}</td>
+                <td class="num">${member.hours}</td>
+            </tr>`).join('');
+
+            return `
+                <div class="report-period">${period.from} 〜 ${period.to}（${period.members.length > 0 ? period.members[0].days : 0}日）</div>
+                <table class="report-table">
+                    <thead>
+                        <tr>
+                            <th>名前</th><th>出席計</th>${STATUSES.map(status => `<th>${status.label}</th>`).join('')}<th>未回答</th><th>出席率</th><th>デフォルトと異なる回答</th><th>勤務時間(h)</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+        }).join('');
+
+        return `
+            <form data-form="report" class="report-form">
+                <input name="from" type="date" value="${from}" required>
+                <span>〜</span>
+                <input name="to" type="date" value="${to}" required>
+                <select name="groupBy">${groupOptions}</select>
+                <button class="toolbar-btn-dark" type="submit">集計</button>
+            </form>
+            <div class="report-ranges">
+                <button class="toolbar-btn-dark" data-action="report-range" data-range="week">今週</button>
+                <button class="toolbar-btn-dark" data-action="report-range" data-range="month">今月</button>
+                <button class="toolbar-btn-dark" data-action="report-range" data-range="last-month">先月</button>
+            </div>
+            ${tables || '<div class="form-note">対象期間に稼働日がありません。</div>'}
+            <div class="form-note">出席率は対象の稼働日（休業日を除く）のうち出席扱いのステータス（参加・リモート・遅刻・早退・半休。デフォルト適用を含む）の割合です。今日より後の日付は集計しません。</div>
+        `;
+    }
+
+    showExportDialog() {
+        const now = new Date();
+        const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+        const from = this.formatDateString(now.getFullYear(), now.getMonth() + 1, 1);
+        const to = this.formatDateString(now.getFullYear(), now.getMonth() + 1, lastDay);
+
+        this.openModal('⬇ CSVダウンロード', `
+            <form data-form="export">
+                <div class="form-row">
+                    <label for="exportFrom">開始日</label>
+                    <input id="exportFrom" name="from" type="date" value="${from}" required>
+                </div>
+                <div class="form-row">
+                    <label for="exportTo">終了日</label>
+                    <input id="exportTo" name="to" type="date" value="${to}" required>
+                </div>
+                <div class="form-note">メンバー × 日付の表をExcelで開けるCSV（UTF-8 BOM付き）で出力します。デフォルトが適用された日は「参加(デフォルト)」のように表示されます。</div>
+                <button class="btn btn-primary" type="submit">ダウンロード</button>
+            </form>
+        `);
+    }
+
+    downloadCsv(from, to) {
+        if (from > to) {
+            alert('開始日は終了日より前にしてください。');
+            return;
+        }
+
+        // Content-Disposition: attachment なのでページ遷移せずに保存される
+        window.location.href = this.apiUrl(`/api/attendance/export.csv?from=${from}&to=${to}`);
+        this.closeModal();
+    }
+
+    async showSettings() {
+        try {
+            const [settingsResponse, nextResetResponse] = await Promise.all([
+                fetch(this.apiUrl('/api/settings')),
+                fetch(this.apiUrl('/api/next-reset'))
+            ]);
+            if (this.handleUnauthorized(settingsResponse)) return;
+            if (!settingsResponse.ok) {
+                throw new Error('Failed to fetch settings');
+            }
+            const settings = await settingsResponse.json();
+            const nextReset = await nextResetResponse.json();
+
+            const dayCheckboxes = (name, selectedDays) => DAY_NAMES.map((label, day) => `
+                <label class="checkbox-label">
+                    <input type="checkbox" name="${name}" value="${day}" ${selectedDays.includes(day) ? 'checked' : ''}>
+                    ${label}
+                </label>
+            `).join('');
+
+            this.openModal('⚙️ チーム設定', `
+                <form data-form="settings">
+                    <div class="form-row">
+                        <label>稼働日（カードを表示する曜日）</label>
+                        <div class="checkbox-group">${dayCheckboxes('workingDays', settings.workingDays)}</div>
+                    </div>
+                    <div class="form-row">
+                        <label for="settingsTimeZone">タイムゾーン</label>
+                        <input id="settingsTimeZone" name="timeZone" type="text" value="${settings.timeZone}" placeholder="Asia/Tokyo" required>
+                    </div>
+                    <div class="form-row">
+                        <label class="checkbox-label">
+                            <input name="publicHolidays" type="checkbox" ${settings.publicHolidays ? 'checked' : ''}>
+                            日本の祝日を休業日にする
+                        </label>
+                    </div>
+                    <div class="form-row">
+                        <label class="checkbox-label">
+                            <input name="autoResetEnabled" type="checkbox" ${settings.autoResetEnabled ? 'checked' : ''}>
+                            自動リセットを有効にする
+                        </label>
+                    </div>
+                    <div class="form-row">
+                        <label for="settingsResetTime">リセット時刻</label>
+                        <input id="settingsResetTime" name="autoResetTime" type="time" value="${settings.autoResetTime}" required>
+                    </div>
+                    <div class="form-row">
+                        <label>リセットする曜日</label>
+                        <div class="checkbox-group">${dayCheckboxes('autoResetDays', settings.autoResetDays)}</div>
+                    </div>
+                    <div class="form-row">
+                        <label class="checkbox-label">
+                            <input name="answerDeadlineEnabled" type="checkbox" ${settings.answerDeadlineEnabled ? 'checked' : ''}>
+                            回答締切を設ける（締切後は管理者のみ変更可）
+                        </label>
+                    </div>
+                    <div class="form-row">
+                        <label for="settingsAnswerDeadline">締切時刻（当日）</label>
+                        <input id="settingsAnswerDeadline" name="answerDeadline" type="time" value="${settings.answerDeadline}" required>
+                    </div>
+                    <div class="form-row">
+                        <label class="checkbox-label">
+                            <input name="reminderEnabled" type="checkbox" ${settings.reminderEnabled ? 'checked' : ''}>
+                            未回答リマインダーを送る（稼働日のみ）
+                        </label>
+                    </div>
+                    <div class="form-row">
+                        <label for="settingsReminderUrl">Webhook URL（Slack互換の Incoming Webhook）</label>
+                        <input id="settingsReminderUrl" name="reminderWebhookUrl" type="url" value="${settings.reminderWebhookUrl}" placeholder="https://hooks.slack.com/services/...">
+                    </div>
+                    <div class="form-row">
+                        <label for="settingsReminderTimes">送信時刻（カンマ区切り）</label>
+                        <input id="settingsReminderTimes" name="reminderTimes" type="text" value="${settings.reminderTimes.join(', ')}" placeholder="09:30, 11:00">
+                    </div>
+                    <div class="form-row">
+                        <button class="toolbar-btn-dark" type="button" data-action="test-reminder">保存済みのURLにテスト送信</button>
+                    </div>
+                    <div class="form-row">
+                        <label class="checkbox-label">
+                            <input name="summaryEmailEnabled" type="checkbox" ${settings.summaryEmailEnabled ? 'checked' : ''}>
+                            毎日の出席サマリーをメールで送る（稼働日のみ）
+                        </label>
+                    </div>
+                    <div class="form-row">
+                        <label for="settingsSummaryTime">送信時刻</label>
+                        <input id="settingsSummaryTime" name="summaryEmailTime" type="time" value="${settings.summaryEmailTime}" required>
+                    </div>
+                    <div class="form-row">
+                        <label for="settingsSummaryRecipients">宛先（カンマ区切り）</label>
+                        <input id="settingsSummaryRecipients" name="summaryEmailRecipients" type="text" value="${settings.summaryEmailRecipients.join(', ')}" placeholder="manager@example.com">
+                    </div>
+                    <div class="form-row">
+                        <button class="toolbar-btn-dark" type="button" data-action="test-summary-email">保存済みの宛先にテスト送信</button>
+                    </div>
+                    <div class="form-note">
+                        ${nextReset.enabled ? `次回の自動リセット: ${nextReset.nextResetLocal}（${nextReset.timeZone}）` : '自動リセットは無効です。'}
+                    </div>
+                    <button class="btn btn-primary" type="submit">保存</button>
+                </form>
+            `);
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            alert('設定の読み込みに失敗しました。');
+        }
+    }
+
+    async testReminder() {
+        try {
+            const response = await fetch(this.apiUrl('/api/reminders/test'), { method: 'POST' });
+
+            if (this.handleUnauthorized(response)) return;
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`テスト送信できませんでした: ${result.error}`);
+                return;
+            }
+
+            alert(`テスト送信しました（未回答 ${result.names.length}人）。`);
+        } catch (error) {
+            console.error('Failed to send test reminder:', error);
+            alert('テスト送信に失敗しました。');
+        }
+    }
+
+    async testSummaryEmail() {
+        try {
+            const response = await fetch(this.apiUrl('/api/summary-email/test'), { method: 'POST' });
+
+            if (this.handleUnauthorized(response)) return;
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`テスト送信できませんでした: ${result.error}`);
+                return;
+            }
+
+            alert(`${result.recipients.join(', ')} に送信しました。`);
+        } catch (error) {
+            console.error('Failed to send test summary email:', error);
+            alert('テスト送信に失敗しました。');
+        }
+    }
+
+    getCheckedDays(form, name) {
+        return Array.from(form.querySelectorAll(`input[name="${name}"]:checked`))
+            .map(input => parseInt(input.value));
+    }
+
+    async saveSettings(form) {
+        const settings = {
+            timeZone: form.timeZone.value.trim(),
+            publicHolidays: form.publicHolidays.checked,
+            autoResetEnabled: form.autoResetEnabled.checked,
+            autoResetTime: form.autoResetTime.value,
+            autoResetDays: this.getCheckedDays(form, 'autoResetDays'),
+            answerDeadlineEnabled: form.answerDeadlineEnabled.checked,
+            answerDeadline: form.answerDeadline.value,
+            reminderEnabled: form.reminderEnabled.checked,
+            reminderWebhookUrl: form.reminderWebhookUrl.value.trim(),
+            reminderTimes: form.reminderTimes.value.split(',').map(time => time.trim()).filter(Boolean),
+            summaryEmailEnabled: form.summaryEmailEnabled.checked,
+            summaryEmailTime: form.summaryEmailTime.value,
+            summaryEmailRecipients: form.summaryEmailRecipients.value.split(',').map(address => address.trim()).filter(Boolean),
+            workingDays: this.getCheckedDays(form, 'workingDays')
+        };
+
+        if (settings.workingDays.length === 0) {
+            alert('稼働日を1つ以上選んでください。');
+            return;
+        }
+
+        try {
+            const response = await fetch(this.apiUrl('/api/settings'), {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(settings),
+            });
+
+            if (this.handleUnauthorized(response)) return;
+            if (response.status === 400) {
+                const result = await response.json();
+                alert(`設定を保存できませんでした: ${result.error}`);
+                return;
+            }
+            if (!response.ok) {
+                throw new Error('Failed to save settings');
+            }
+
+            this.closeModal();
+            alert('設定を保存しました。');
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            alert('設定の保存に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async showClosures() {
+        try {
+            const response = await fetch(this.apiUrl('/api/closures'));
+            if (!response.ok) {
+                throw new Error('Failed to fetch closures');
+            }
+            const closures = await response.json();
+
+            const rows = closures.map(closure => `<div class="manage-row">
+                <span class="member-name">${closure.date}　${closure.name}</span>
+                <div class="manage-buttons">
+                    <button class="toolbar-btn-dark" data-action="delete-closure" data-date="${closure.date}">削除</button>
+                </div>
+            </div>`).join('');
+
+            this.openModal('🎌 休業日', `
+                <div class="manage-list">${rows || '<div class="form-note">登録された休業日はありません。</div>'}</div>
+                <form data-form="closure" class="import-form">
+                    <div class="form-row">
+                        <label for="closureDate">日付</label>
+                        <input id="closureDate" name="date" type="date" required>
+                    </div>
+                    <div class="form-row">
+                        <label for="closureName">名前</label>
+                        <input id="closureName" name="name" type="text" maxlength="50" placeholder="夏季休業" required>
+                    </div>
+                    <div class="form-note">休業日と祝日は出席を変更できず、デフォルトも適用されません。祝日の扱いは ⚙️ から変更できます。</div>
+                    <button class="btn btn-primary" type="submit">追加</button>
+                </form>
+            `);
+        } catch (error) {
+            console.error('Failed to load closures:', error);
+            alert('休業日の取得に失敗しました。');
+        }
+    }
+
+    async addClosure(date, name) {
+        try {
+            const response = await fetch(this.apiUrl('/api/closures'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ date, name }),
+            });
+
+            if (this.handleUnauthorized(response)) return;
+            if (response.status === 409) {
+                alert('その日付はすでに休業日に登録されています。');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error('Failed to add closure');
+            }
+
+            this.showClosures();
+        } catch (error) {
+            console.error('Failed to add closure:', error);
+            alert('休業日の追加に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async deleteClosure(date) {
+        if (!confirm(`${date} の休業日を削除しますか？`)) return;
+
+        try {
+            const response = await fetch(this.apiUrl(`/api/closures/${date}`), { method: 'DELETE' });
+
+            if (this.handleUnauthorized(response)) return;
+            if (!response.ok) {
+                throw new Error('Failed to delete closure');
+            }
+
+            this.showClosures();
+        } catch (error) {
+            console.error('Failed to delete closure:', error);
+            alert('休業日の削除に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    // 外部連携用のWebhook。イベントごとに署名付きJSONがPOSTされる
+    async showWebhooks() {
+        try {
+            const response = await fetch(this.apiUrl('/api/webhooks'));
+
+            if (this.handleUnauthorized(response)) return;
+            if (!response.ok) {
+                throw new Error('Failed to fetch webhooks');
+            }
+            const webhooks = await response.json();
+
+            const rows = webhooks.map(webhook => `<div class="manage-row">
+                <span class="member-name">${webhook.url}<br><small>${webhook.events.join(', ')}</small></span>
+                <div class="manage-buttons">
+                    <button class="toolbar-btn-dark" data-action="webhook-deliveries" data-webhook-id="${webhook.id}">配信ログ</button>
+                    <button class="toolbar-btn-dark" data-action="delete-webhook" data-webhook-id="${webhook.id}">削除</button>
+                </div>
+            </div>`).join('');
+
+            const eventCheckboxes = WEBHOOK_EVENTS.map(event => `
+                <label class="checkbox-label">
+                    <input type="checkbox" name="events" value="${event}" checked>
+                    ${event}
+                </label>
+            `).join('');
+
+            this.openModal('🔗 Webhook', `
+                <div class="manage-list">${rows || '<div class="form-note">登録されたWebhookはありません。</div>'}</div>
+                <form data-form="webhook" class="import-form">
+                    <div class="form-row">
+                        <label for="webhookUrl">送信先URL</label>
+                        <input id="webhookUrl" name="url" type="url" placeholder="https://example.com/attendcard" required>
+                    </div>
+                    <div class="form-row">
+                        <label>イベント</label>
+                        <div class="checkbox-group">${eventCheckboxes}</div>
+                    </div>
+                    <div class="form-note">本文は X-AttendCard-Signature ヘッダー（sha256=本文のHMAC-SHA256）で署名されます。署名用のシークレットは登録時に一度だけ表示されます。</div>
+                    <button class="btn btn-primary" type="submit">追加</button>
+                </form>
+            `);
+        } catch (error) {
+            console.error('Failed to load webhooks:', error);
+            alert('Webhookの取得に失敗しました。');
+        }
+    }
+
+    async addWebhook(form) {
+        const events = Array.from(form.querySelectorAll('input[name="events"]:checked')).map(input => input.value);
+        if (events.length === 0) {
+            alert('イベントを1つ以上選んでください。');
+            return;
+        }
+
+        try {
+            const response = await fetch(this.apiUrl('/api/webhooks'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ url: form.url.value.trim(), events }),
+            });
+
+            if (this.handleUnauthorized(response)) return;
+            const result = await response.json();
+            if (response.status === 400 || response.status === 409) {
+                alert(`Webhookを追加できませんでした: ${result.error}`);
+                return;
+            }
+            if (!response.ok) {
+                throw new Error('Failed to add webhook');
+            }
+
+            prompt('署名用のシークレットです。この画面を閉じると再表示できません。', result.secret);
+            this.showWebhooks();
+        } catch (error) {
+            console.error('Failed to add webhook:', error);
+            alert('Webhookの追加に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async deleteWebhook(webhookId) {
+        if (!confirm('このWebhookを削除しますか？配信ログも削除されます。')) return;
+
+        try {
+            const response = await fetch(this.apiUrl(`/api/webhooks/${webhookId}`), { method: 'DELETE' });
+
+            if (this.handleUnauthorized(response)) return;
+            if (!response.ok) {
+                throw new Error('Failed to delete webhook');
+            }
+
+            this.showWebhooks();
+        } catch (error) {
+            console.error('Failed to delete webhook:', error);
+            alert('Webhookの削除に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async showWebhookDeliveries(webhookId) {
+        try {
+            const response = await fetch(this.apiUrl(`/api/webhooks/${webhookId}/deliveries`));
+
+            if (this.handleUnauthorized(response)) return;
+            if (!response.ok) {
+                throw new Error('Failed to fetch deliveries');
+            }
+            const deliveries = await response.json();
+
+            const rows = deliveries.map(delivery => `<tr>
+                <td>${new Date(`${delivery.created_at.replace(' ', 'T')}Z`).toLocaleString('ja-JP')}</td>
+                <td>${delivery.event}</td>
+                <td>${delivery.success ? '✅ 成功' : '❌ 失敗'}</td>
+                <td>${delivery.response_status || '-'}</td>
+                <td class="num">${delivery.attempts}</td>
+                <td>${delivery.error || ''}</td>
+            </tr>`).join('');
+
+            this.openModal('🔗 配信ログ', `
+                ${rows ? `<table class="report-table">
+                    <thead>
+                        <tr><th>日時</th><th>イベント</th><th>結果</th><th>HTTP</th><th class="num">試行</th><th>エラー</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>` : '<div class="form-note">配信はまだありません。</div>'}
+                <button class="toolbar-btn-dark" data-action="manage-webhooks">← 戻る</button>
+            `, { wide: true });
+        } catch (error) {
+            console.error('Failed to load deliveries:', error);
+            alert('配信ログの取得に失敗しました。');
+        }
+    }
+
+    // 休暇など、期間を指定したステータス。回答が無い日はデフォルトより優先される
+    async showPeriods() {
+        try {
+            const response = await fetch(this.apiUrl('/api/periods'));
+            if (!response.ok) {
+                throw new Error('Failed to fetch periods');
+            }
+            const periods = await response.json();
+
+            const rows = periods.map(period => `<div class="manage-row">
+                <span class="member-name">${period.memberName}　${period.startDate} 〜 ${period.endDate}　${this.getStatusLabel(period.status)}${period.reason ? `（${period.reason}）` : ''}</span>
+                ${this.isCurrentMember(period.memberId) ? `<div class="manage-buttons">
+                    <button class="toolbar-btn-dark" data-action="delete-period" data-period-id="${period.id}">削除</button>
+                </div>` : ''}
+            </div>`).join('');
+
+            const statusOptions = STATUSES.map(status =>
+                `<option value="${status.key}" ${status.key === 'absent' ? 'selected' : ''}>${status.label}</option>`
+            ).join('');
+
+            this.openModal('🏖 休暇・期間設定', `
+                <div class="manage-list">${rows || '<div class="form-note">予定されている期間はありません。</div>'}</div>
+                <form data-form="period" class="import-form">
+                    <div class="form-row">
+                        <label for="periodStart">開始日</label>
+                        <input id="periodStart" name="startDate" type="date" required>
+                    </div>
+                    <div class="form-row">
+                        <label for="periodEnd">終了日</label>
+                        <input id="periodEnd" name="endDate" type="date" required>
+                    </div>
+                    <div class="form-row">
+                        <label for="periodStatus">ステータス</label>
+                        <select id="periodStatus" name="status">${statusOptions}</select>
+                    </div>
+                    <div class="form-row">
+                        <label for="periodReason">理由（任意）</label>
+                        <input id="periodReason" name="reason" type="text" maxlength="100" placeholder="夏休み">
+                    </div>
+                    <div class="form-note">期間中は回答していない日にこのステータスが入ります（曜日のデフォルトより優先、その日に回答すれば回答が優先）。</div>
+                    <button class="btn btn-primary" type="submit">追加</button>
+                </form>
+            `);
+        } catch (error) {
+            console.error('Failed to load periods:', error);
+            alert('期間設定の取得に失敗しました。');
+        }
+    }
+
+    async addPeriod(period) {
+        try {
+            const response = await fetch(this.apiUrl('/api/periods'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ memberId: this.currentMember.id, ...period }),
+            });
+
+            if (this.handleUnauthorized(response)) return;
+            if (response.status === 400) {
+                const result = await response.json();
+                alert(`期間が正しくありません。\n${result.error}`);
+                return;
+            }
+            if (response.status === 423) {
+                alert('回答の締切を過ぎた日に影響するため変更できません。');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error('Failed to add period');
+            }
+
+            const result = await response.json();
+            this.showPeriods();
+            this.showUndoToast('期間を追加しました', result.undoId);
+        } catch (error) {
+            console.error('Failed to add period:', error);
+            alert('期間の追加に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async deletePeriod(periodId) {
+        if (!confirm('この期間設定を削除しますか？')) return;
+
+        try {
+            const response = await fetch(this.apiUrl(`/api/periods/${periodId}`), { method: 'DELETE' });
+
+            if (this.handleUnauthorized(response)) return;
+            if (response.status === 423) {
+                alert('回答の締切を過ぎた日に影響するため変更できません。');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error('Failed to delete period');
+            }
+
+            const result = await response.json();
+            this.showPeriods();
+            this.showUndoToast('期間を削除しました', result.undoId);
+        } catch (error) {
+            console.error('Failed to delete period:', error);
+            alert('期間の削除に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async showAuditLog() {
+        try {
+            const response = await fetch(this.apiUrl('/api/members'));
+            this.auditMembers = await response.json();
+        } catch (error) {
+            console.error('Failed to fetch members:', error);
+            this.auditMembers = [];
+        }
+        this.auditQuery = { memberId: '', source: '', date: '', from: '', to: '' };
+        this.loadAuditLog(false);
+    }
+
+    // more=true のときは前回の続き（古い方）を追加で読み込む
+    async loadAuditLog(more) {
+        const params = new URLSearchParams();
+        Object.entries(this.auditQuery).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        if (more && this.auditNextBefore) {
+            params.set('before', this.auditNextBefore);
+        }
+
+        try {
+            const response = await fetch(this.apiUrl(`/api/audit?${params}`));
+
+            if (this.handleUnauthorized(response)) return;
+            if (!response.ok) {
+                throw new Error('Failed to load audit log');
+            }
+
+            const result = await response.json();
+            this.auditEntries = more ? this.auditEntries.concat(result.entries) : result.entries;
+            this.auditNextBefore = result.nextBefore;
+            this.openModal('📝 変更履歴', this.generateAuditHTML(), { wide: true });
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+            alert('変更履歴の取得に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    describeAuditTarget(entry) {
+        if (entry.detail && entry.detail.rule) {
+            return `繰り返しルール: ${this.describeRule(entry.detail.rule)}`;
+        }
+        if (entry.detail && entry.detail.period) {
+            return `期間: ${entry.detail.period.startDate} 〜 ${entry.detail.period.endDate}`;
+        }
+        return entry.date || `毎週${DAY_NAMES[entry.dayOfWeek]}曜（デフォルト）`;
+    }
+
+    describeAuditChange(entry) {
+        const changes = [];
+        if (entry.oldStatus !== entry.newStatus) {
+            changes.push(`${this.getStatusLabel(entry.oldStatus)} → ${this.getStatusLabel(entry.newStatus)}`);
+        }
+        if (entry.detail && 'newComment' in entry.detail) {
+            changes.push(`💬 ${entry.detail.oldComment || 'なし'} → ${entry.detail.newComment || 'なし'}`);
+        }
+        return changes.join('<br>');
+    }
+
+    generateAuditHTML() {
+        const sourceLabels = {
+            ui: '画面',
+            comment_change: 'コメント',
+            check_in: '出勤',
+            default_change: 'デフォルト変更',
+            rule_change: '繰り返しルール',
+            period_change: '休暇・期間',
+            admin_reset: '管理者リセット',
+            auto_reset: '自動リセット',
+            undo: '元に戻す'
+        };
+        const { memberId, source, date, from, to } = this.auditQuery;
+
+        const memberOptions = this.auditMembers.map(member =>
+            `<option value="${member.id}" ${String(member.id) === memberId ? 'selected' : ''}>${member.name}</option>`
+        ).join('');
+        const sourceOptions = Object.entries(sourceLabels).map(([value, label]) =>
+            `<option value="${value}" ${value === source ? 'selected' : ''}>${label}</option>`
+        ).join('');
+
+        const rows = this.auditEntries.map(entry => {
+            const changedAt = new Date(`${entry.createdAt.replace(' ', 'T')}Z`).toLocaleString('ja-JP');
+            const target = this.describeAuditTarget(entry);
+            return `<tr>
+                <td>${changedAt}</td>
+                <td>${entry.actor}</td>
+                <td>${entry.memberName || `#${entry.memberId}`}</td>
+                <td>${target}</td>
+                <td>${this.describeAuditChange(entry)}</td>
+                <td>${sourceLabels[entry.source] || entry.source}</td>
+                <td>${entry.ip || '-'}</td>
+            </tr>`;
+        }).join('');
+
+        return `
+            <form data-form="audit" class="report-form">
+                <select name="memberId"><option value="">全メンバー</option>${memberOptions}</select>
+                <select name="source"><option value="">すべての操作</option>${sourceOptions}</select>
+                <label>対象日 <input name="date" type="date" value="${date}"></label>
+                <label>変更日 <input name="from" type="date" value="${from}"></label>
+                <span>〜</span>
+                <input name="to" type="date" value="${to}">
+                <button class="toolbar-btn-dark" type="submit">絞り込み</button>
+            </form>
+            ${rows ? `<table class="report-table">
+                <thead>
+                    <tr><th>日時</th><th>操作者</th><th>メンバー</th><th>対象</th><th>変更</th><th>操作</th><th>IP</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>` : '<div class="form-note">該当する変更はありません。</div>'}
+            ${this.auditNextBefore ? '<div class="report-ranges"><button class="toolbar-btn-dark" data-action="audit-more">さらに表示</button></div>' : ''}
+        `;
+    }
+
+    // ログインが切れている場合はログイン画面を出す
+    handleUnauthorized(response) {
+        if (response.status === 401) {
+            this.currentMember = null;
+            this.renderToolbar();
+            this.showLoginDialog();
+            return true;
+        }
+        return false;
+    }
+
     showAddMemberDialog() {
         const name = prompt('新しいメンバーの名前を入力してください:');
         if (name && name.trim()) {
@@ -55,7 +1834,7 @@ class AttendanceApp {
 
     async addMember(name) {
         try {
-            const response = await fetch('/api/members', {
+            const response = await fetch(this.apiUrl('/api/members'), {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -63,6 +1842,16 @@ class AttendanceApp {
                 body: JSON.stringify({ name }),
             });
             
+            if (response.status === 403) {
+                alert('メンバーの追加は管理者のみ実行できます。');
+                return;
+            }
+            
+            if (response.status === 409) {
+                alert('同じ名前のメンバーが既に存在します（アーカイブ済みのメンバーはメンバー管理から復元できます）。');
+                return;
+            }
+            
             if (!response.ok) {
                 throw new Error('Failed to add member');
             }
@@ -74,26 +1863,121 @@ class AttendanceApp {
         }
     }
 
+    // 管理者はカードのメンバー行をドラッグして表示順を変えられる（PC表示のみ）
+    setupMemberDragAndDrop() {
+        const cardsContainer = document.getElementById('attendCards');
+        const clearDropMarks = () => {
+            cardsContainer.querySelectorAll('.drop-before, .drop-after').forEach(card => {
+                card.classList.remove('drop-before', 'drop-after');
+            });
+        };
+        // ドロップ位置がカードの上半分なら前、下半分なら後ろ
+        const isBefore = (event, card) => {
+            const rect = card.getBoundingClientRect();
+            return event.clientY < rect.top + rect.height / 2;
+        };
+
+        cardsContainer.addEventListener('dragstart', (event) => {
+            const card = event.target.closest('.member-card[draggable="true"]');
+            if (!card) return;
+
+            this.draggedMemberId = parseInt(card.dataset.memberId);
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', card.dataset.memberId);
+            card.classList.add('dragging');
+        });
+
+        cardsContainer.addEventListener('dragover', (event) => {
+            const card = event.target.closest('.member-card[draggable="true"]');
+            if (!card || this.draggedMemberId === null) return;
+
+            event.preventDefault();
+            clearDropMarks();
+            card.classList.add(isBefore(event, card) ? 'drop-before' : 'drop-after');
+        });
+
+        cardsContainer.addEventListener('drop', (event) => {
+            const card = event.target.closest('.member-card[draggable="true"]');
+            if (!card || this.draggedMemberId === null) return;
+
+            event.preventDefault();
+            const targetId = parseInt(card.dataset.memberId);
+            if (targetId === this.draggedMemberId) return;
+
+            const memberIds = this.data.members.map(m => m.id).filter(id => id !== this.draggedMemberId);
+            const targetIndex = memberIds.indexOf(targetId);
+            memberIds.splice(isBefore(event, card) ? targetIndex : targetIndex + 1, 0, this.draggedMemberId);
+            this.saveMemberOrder(memberIds);
+        });
+
+        cardsContainer.addEventListener('dragend', () => {
+            this.draggedMemberId = null;
+            clearDropMarks();
+            cardsContainer.querySelectorAll('.dragging').forEach(card => card.classList.remove('dragging'));
+        });
+    }
+
+    async saveMemberOrder(memberIds) {
+        try {
+            const response = await fetch(this.apiUrl('/api/members/order'), {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ memberIds }),
+            });
+
+            // メンバーの追加・アーカイブと重なった場合は最新の状態を読み直す
+            if (response.status === 400) {
+                await this.loadWeekData();
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to save member order');
+            }
+
+            // データはWebSocket経由で更新される
+        } catch (error) {
+            console.error('Failed to save member order:', error);
+            alert('並び順の保存に失敗しました。もう一度お試しください。');
+        }
+    }
+
     deleteMember(memberId, memberName) {
-        if (confirm(`「${memberName}」を削除しますか？\n\n削除すると出席履歴も全て削除されます。`)) {
-            this.doDeleteMember(memberId);
+        if (confirm(`「${memberName}」をアーカイブしますか？\n\n出席履歴は残り、メンバー管理から復元できます。`)) {
+            this.doDeleteMember(memberId, memberName);
         }
     }
 
-    async doDeleteMember(memberId) {
+    async doDeleteMember(memberId, memberName) {
         try {
-            const response = await fetch(`/api/members/${memberId}`, {
+            const response = await fetch(this.apiUrl(`/api/members/${memberId}`), {
                 method: 'DELETE'
             });
             
+            if (response.status === 403) {
+                alert('メンバーのアーカイブは管理者のみ実行できます。');
+                return;
+            }
+            
             if (!response.ok) {
-                throw new Error('Failed to delete member');
+                throw new Error('Failed to archive member');
+            }
+            
+            // 自分をアーカイブした場合はセッションも消えているので元に戻せない
+            if (this.isCurrentMember(memberId)) {
+                this.currentMember = null;
+                this.renderToolbar();
+            } else {
+                const result = await response.json();
+                this.showUndoToast(`「${memberName}」をアーカイブしました`, result.undoId);
             }
             
             // データは WebSocket 経由で更新される
         } catch (error) {
-            console.error('Failed to delete member:', error);
-            alert('メンバーの削除に失敗しました。もう一度お試しください。');
+            console.error('Failed to archive member:', error);
+            alert('メンバーのアーカイブに失敗しました。もう一度お試しください。');
         }
     }
 
@@ -105,14 +1989,22 @@ class AttendanceApp {
 
     async doResetToday() {
         try {
-            const response = await fetch('/api/attendance/reset', {
+            const response = await fetch(this.apiUrl('/api/attendance/reset'), {
                 method: 'POST'
             });
             
+            if (response.status === 403) {
+                alert('リセットは管理者のみ実行できます。');
+                return;
+            }
+            
             if (!response.ok) {
                 throw new Error('Failed to reset attendance');
             }
             
+            const result = await response.json();
+            this.showUndoToast('今日の出席をリセットしました', result.undoId);
+            
             // No countdown timer to restart
             
             // Reload week data
@@ -131,22 +2023,36 @@ class AttendanceApp {
         // No longer needed - countdown display removed
     }
 
+    getWorkingDays() {
+        return (this.data && this.data.workingDays) || [1, 2, 3, 4, 5];
+    }
+
+    // 稼働日の曜日名（月曜始まり）
     getDayNames() {
-        return ['月', '火', '水', '木', '金'];
+        const workingDays = this.getWorkingDays();
+        return [1, 2, 3, 4, 5, 6, 0]
+            .filter(day => workingDays.includes(day))
+            .map(day => DAY_NAMES[day]);
+    }
+
+    // カードの並び（今日から日付順）
+    getOrderedDays() {
+        return (this.data && this.data.dayOrder) || this.getDayNames();
+    }
+
+    getStatusLabel(status) {
+        const definition = STATUSES.find(s => s.key === status);
+        return definition ? definition.label : '未回答';
     }
 
     getSinglePinClass(member) {
+        const colorClass = `status-color-${member.defaultStatus || 'pending'}`;
         if (member.originalStatus === member.defaultStatus) {
             // ユーザが明示的に選択した状態とデフォルトが一致 - ステータス別の色
-            if (member.defaultStatus === 'attend') return 'pin-matched-attend';
-            if (member.defaultStatus === 'absent') return 'pin-matched-absent';
-            if (member.defaultStatus === null) return 'pin-matched-pending';
-        } else {
-            // デフォルト設定済みだが現在と違う
-            if (member.defaultStatus === 'attend') return 'pin-default-attend';
-            if (member.defaultStatus === 'absent') return 'pin-default-absent';
-            if (member.defaultStatus === null) return 'pin-default-pending';
+            return `pin-matched ${colorClass}`;
         }
+        // デフォルト設定済みだが現在と違う
+        return `pin-default ${colorClass}`;
     }
 
     getSinglePinIcon(member) {
@@ -155,33 +2061,29 @@ class AttendanceApp {
 
     getSinglePinTooltip(member) {
         if (member.originalStatus === member.defaultStatus) {
-            return 'デフォルト設定済み（ユーザ選択と一致）';
+            return `デフォルト設定済み（ユーザ選択と一致）${member.rule ? '・繰り返しルール' : ''}`;
         } else {
-            let defaultText;
-            if (member.defaultStatus === 'attend') defaultText = '参加';
-            else if (member.defaultStatus === 'absent') defaultText = '欠席';
-            else defaultText = '未回答';
+            const defaultText = this.getStatusLabel(member.defaultStatus);
+            const currentText = this.getStatusLabel(member.originalStatus);
             
-            let currentText;
-            if (member.originalStatus === 'attend') currentText = '参加';
-            else if (member.originalStatus === 'absent') currentText = '欠席';
-            else currentText = '未回答';
-            
-            return `デフォルト：${defaultText}（${currentText}をデフォルトに設定）`;
+            return `デフォルト：${defaultText}${member.rule ? '（繰り返しルール）' : ''}（${currentText}をデフォルトに設定）`;
         }
     }
 
     async loadWeekData() {
+        this.seq = null;
+        this.loadingWeek = true;
         try {
-            const response = await fetch('/api/attendance/week');
-            this.data = await response.json();
-            this.renderWeekDays();
+            const response = await fetch(this.apiUrl('/api/attendance/week'));
+            this.applySnapshot(await response.json());
         } catch (error) {
             console.error('Failed to load week data:', error);
+            this.pendingUpdates = [];
             // Fallback to empty data structure
             this.data = {
                 members: [],
-                weekData: {}
+                weekData: {},
+                dayOrder: this.getDayNames()
             };
             // Initialize empty week structure
             const dayNames = this.getDayNames();
@@ -192,7 +2094,69 @@ class AttendanceApp {
                 };
             });
             this.renderWeekDays();
+        } finally {
+            this.loadingWeek = false;
+        }
+    }
+
+    // 週全体を置き換える。手元より古いスナップショットは捨て、
+    // 読み込み中に届いていた差分のうち新しいものを続けて当てる
+    applySnapshot(data) {
+        if (this.seq !== null && data.seq < this.seq) return;
+
+        this.data = data;
+        this.seq = data.seq;
+        this.renderWeekDays();
+
+        const pending = this.pendingUpdates;
+        this.pendingUpdates = [];
+        pending.forEach(message => this.applyMemberUpdate(message));
+    }
+
+    // 1人分の差分を当てて、変わった日のカードだけ描き直す。
+    // seq が飛んでいたら取りこぼしがあるので週全体を取り直す
+    applyMemberUpdate(message) {
+        if (this.seq === null) {
+            if (this.loadingWeek) this.pendingUpdates.push(message);
+            return;
+        }
+        if (message.seq <= this.seq) return;
+        if (message.seq !== this.seq + 1) {
+            this.loadWeekData();
+            return;
+        }
+
+        const changedDays = [];
+        for (const [dayName, update] of Object.entries(message.days)) {
+            const dayData = this.data.weekData[dayName];
+            const index = dayData && dayData.date === update.date
+                ? dayData.members.findIndex(member => member.id === message.memberId)
+                : -1;
+            // 日付が変わった・メンバーがいないなど、手元の週と合わない
+            if (index < 0) {
+                this.loadWeekData();
+                return;
+            }
+            dayData.members[index] = update.member;
+            dayData.totalHours = update.totalHours;
+            changedDays.push(dayName);
         }
+
+        this.seq = message.seq;
+        changedDays.forEach(dayName => this.renderDay(dayName));
+    }
+
+    // 1日分のカードだけを描き直す（デスクトップとモバイルの両方）。スクロール位置は保つ
+    renderDay(dayName) {
+        const html = this.generateCardHTML(dayName, new Date().getDay(), this.getDayNames());
+        document.querySelectorAll(`.attend-card[data-day="${dayName}"]`).forEach(card => {
+            const template = document.createElement('template');
+            template.innerHTML = html.trim();
+            const newCard = template.content.firstElementChild;
+            const scrollTop = card.querySelector('.members-container').scrollTop;
+            card.replaceWith(newCard);
+            newCard.querySelector('.members-container').scrollTop = scrollTop;
+        });
     }
 
     renderWeekDays() {
@@ -208,16 +2172,44 @@ class AttendanceApp {
     }
 
     performRender() {
+        // グループが増減したらツールバーの絞り込みを作り直す
+        const groups = this.getGroups().join('\n');
+        if (groups !== this.renderedGroups) {
+            this.renderedGroups = groups;
+            this.renderToolbar();
+        }
+
         // Save scroll positions before re-rendering
         this.saveScrollPositions();
         
         this.renderDesktop();
         this.renderMobile();
+        this.scheduleDeadlineRender();
         
         // Restore scroll positions after re-rendering
         requestAnimationFrame(() => this.restoreScrollPositions());
     }
 
+    // 締切の瞬間にカードをロック表示へ切り替える
+    scheduleDeadlineRender() {
+        clearTimeout(this.deadlineTimer);
+        const now = Date.now();
+        const upcoming = Object.values(this.data.weekData)
+            .map(dayData => dayData.deadline ? Date.parse(dayData.deadline) : NaN)
+            .filter(time => time > now);
+        if (upcoming.length === 0) return;
+
+        this.deadlineTimer = setTimeout(() => this.renderWeekDays(), Math.min(...upcoming) - now + 100);
+    }
+
+    isDayLocked(dayData) {
+        return Boolean(dayData.deadline) && Date.now() >= Date.parse(dayData.deadline);
+    }
+
+    formatDeadline(dayData) {
+        return new Date(dayData.deadline).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+    }
+
     saveScrollPositions() {
         this.scrollPositions = {};
         
@@ -274,46 +2266,12 @@ class AttendanceApp {
         this.handleCardClick = this.handleCardClick.bind(this);
         cardsContainer.addEventListener('click', this.handleCardClick);
         
-        // Get all 5 weekdays in chronological order
+        // Get the working days in chronological order
         const dayNames = this.getDayNames();
-        const todayDate = new Date();
-        const currentDay = todayDate.getDay(); // 0=日, 1=月, 2=火, 3=水, 4=木, 5=金, 6=土
-        
-        // Create ordered list of days starting from today
-        let orderedDays = [];
-        let tempDate = new Date(todayDate);
-        let todayIndex = -1; // Index of today's card in the array
-        
-        // If weekend, start from next Monday
-        if (currentDay === 0) { // Sunday
-            tempDate.setDate(todayDate.getDate() + 1);
-        } else if (currentDay === 6) { // Saturday  
-            tempDate.setDate(todayDate.getDate() + 2);
-        }
-        
-        // Collect 5 weekdays in order
-        let collected = 0;
-        while (collected < 5) {
-            const dayOfWeek = tempDate.getDay();
-            if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-                const dayName = dayNames[dayOfWeek - 1];
-                orderedDays.push(dayName);
-                
-                // Mark today's index for centering
-                if (dayOfWeek === today) {
-                    todayIndex = collected;
-                }
-                
-                collected++;
-            }
-            tempDate.setDate(tempDate.getDate() + 1);
-        }
-        
-        // If today is weekday, find today's index
-        if (today >= 1 && today <= 5 && todayIndex === -1) {
-            todayIndex = 0; // Today is the first card
-        }
+        const orderedDays = this.getOrderedDays();
         
+        // Index of today's card (the first card when today is a working day)
+        const todayIndex = orderedDays.indexOf(DAY_NAMES[today]);
         
         cardsContainer.innerHTML = orderedDays.map((dayName, displayIndex) => {
             return this.generateCardHTML(dayName, today, dayNames);
@@ -351,36 +2309,18 @@ class AttendanceApp {
         
         // Get ordered days
         const dayNames = this.getDayNames();
-        const todayDate = new Date();
-        const currentDay = todayDate.getDay();
-        const today = currentDay;
-        
-        let orderedDays = [];
-        let tempDate = new Date(todayDate);
-        
-        // If weekend, start from next Monday
-        if (currentDay === 0) { // Sunday
-            tempDate.setDate(todayDate.getDate() + 1);
-        } else if (currentDay === 6) { // Saturday  
-            tempDate.setDate(todayDate.getDate() + 2);
-        }
-        
-        // Collect 5 weekdays in order
-        let collected = 0;
-        while (collected < 5) {
-            const dayOfWeek = tempDate.getDay();
-            if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-                const dayName = dayNames[dayOfWeek - 1];
-                orderedDays.push(dayName);
-                collected++;
-            }
-            tempDate.setDate(tempDate.getDate() + 1);
-        }
+        const orderedDays = this.getOrderedDays();
+        const today = new Date().getDay();
+
+        // カード枚数は稼働日の数で変わる
+        this.mobileCardCount = orderedDays.length;
+        this.currentMobileIndex = Math.min(this.currentMobileIndex, this.mobileCardCount - 1);
+        mobileContainer.style.width = `${this.mobileCardCount * 100}%`;
 
         // Render mobile cards
         mobileContainer.innerHTML = orderedDays.map((dayName, index) => {
             return `
-                <div class="mobile-card">
+                <div class="mobile-card" style="width: ${100 / this.mobileCardCount}%">
                     ${this.generateCardHTML(dayName, today, dayNames)}
                 </div>
             `;
@@ -390,6 +2330,7 @@ class AttendanceApp {
         indicatorContainer.innerHTML = orderedDays.map((_, index) => {
             return `<div class="swipe-dot ${index === this.currentMobileIndex ? 'active' : ''}"></div>`;
         }).join('');
+        this.updateMobilePosition();
 
         // Remove existing mobile event listeners
         if (this.handleMobileCardClick) {
@@ -403,19 +2344,37 @@ class AttendanceApp {
         // Members containers handle their own scrolling naturally
     }
 
+    // グループごとの出席 / 欠席 / 未回答（グループが無ければ表示しない）
+    getGroupSummaryHTML(members) {
+        const groups = this.getGroups();
+        if (groups.length === 0) return '';
+
+        const rows = groups.map(group => {
+            const groupMembers = members.filter(member => member.tags.includes(group));
+            const counts = this.countStatuses(groupMembers);
+            return `<div class="group-summary-row ${group === this.groupFilter ? 'active' : ''}">
+                <span class="group-summary-name">${group}</span>
+                <span class="count-attend">✓${counts.present}</span>
+                <span class="count-absent">✗${counts.absent}</span>
+                <span>?${counts.pending}</span>
+                <span>/ ${groupMembers.length}</span>
+            </div>`;
+        }).join('');
+
+        return `<div class="group-summary">${rows}</div>`;
+    }
+
     generateCardHTML(dayName, today, dayNames) {
         const dayData = this.data.weekData[dayName];
-        const dayIndex = dayNames.indexOf(dayName) + 1;
-        const isToday = today === dayIndex;
+        const isToday = DAY_NAMES[today] === dayName;
         
         // Pre-calculate counts for efficiency
-        let attendCount = 0, absentCount = 0, pendingCount = 0;
-        dayData.members.forEach(m => {
-            if (m.status === 'attend') attendCount++;
-            else if (m.status === 'absent') absentCount++;
-            else pendingCount++;
-        });
-        const totalCount = dayData.members.length;
+        const members = this.getVisibleMembers(dayData.members);
+        const counts = this.countStatuses(members);
+        const totalCount = members.length;
+        const locked = !dayData.closed && this.isDayLocked(dayData);
+        // 締切後は管理者だけが回答を変更できる
+        const editable = !dayData.closed && (!locked || this.isAdmin());
         
         // Format date
         const dateObj = new Date(dayData.date);
@@ -426,68 +2385,89 @@ class AttendanceApp {
         });
 
         // Pre-build member HTML fragments
-        const memberFragments = dayData.members.map(member => {
-            const cardClass = member.status ? 
-                (member.status === 'attend' ? 'attending' : 'absent') : '';
-            
-            const statusClass = member.status ? 
-                (member.status === 'attend' ? 'status-attend' : 'status-absent') : 
-                'status-pending';
+        const memberFragments = members.map(member => {
+            // 自分の行だけ操作できる。休業日は誰も操作できない
+            const isSelf = this.isCurrentMember(member.id);
+            const disabled = isSelf && !dayData.closed ? '' : 'disabled';
+            const statusDisabled = isSelf && editable ? '' : 'disabled';
+
+            const cardClass = member.status ? `answered status-color-${member.status}` : '';
+            const statusClass = `status-color-${member.status || 'pending'}`;
 
-            return `<div class="member-card ${cardClass}">
+            const statusButtons = STATUSES.map(status => `<button class="btn btn-status status-color-${status.key} ${member.originalStatus === status.key ? 'active' : ''}" data-day="${dayName}" data-member-id="${member.id}" data-action="set-status" data-status="${status.key}" title="${status.label}" ${statusDisabled}>
+                        ${status.icon} ${status.label}
+                    </button>`).join('');
+
+            const dragAttributes = this.isAdmin() ? `draggable="true" data-member-id="${member.id}"` : '';
+
+            return `<div class="member-card ${cardClass} ${isSelf ? 'self' : ''}" ${dragAttributes}>
                 <div class="member-info">
+                    ${this.isAdmin() ? '<span class="drag-handle" title="ドラッグで並び替え">⋮⋮</span>' : ''}
                     <span class="status-indicator ${statusClass}"></span>
                     <span class="member-name">${member.name}</span>
+                    ${member.tags.map(tag => `<span class="member-tag">${tag}</span>`).join('')}
+                    ${member.comment ? `<span class="member-comment" title="${member.comment}">💬 ${member.comment}</span>` : ''}
+                    ${member.period && member.originalStatus === null && !dayData.closed ? `<span class="member-comment">🏖 ${member.period.reason || '期間設定'}</span>` : ''}
+                    ${isToday && member.checkInAt ? `<span class="member-comment">🕘 ${this.formatWorkTime(member)}</span>` : ''}
                 </div>
                 <div class="member-buttons">
-                    <button class="btn-pin ${this.getSinglePinClass(member)}" data-day="${dayName}" data-member-id="${member.id}" data-action="pin-current" title="${this.getSinglePinTooltip(member)}">
+                    ${isToday && isSelf && !dayData.closed ? this.getCheckButtonHTML(member) : ''}
+                    <button class="btn-pin ${this.getSinglePinClass(member)}" data-day="${dayName}" data-member-id="${member.id}" data-action="pin-current" title="${this.getSinglePinTooltip(member)}" ${disabled}>
                         ${this.getSinglePinIcon(member)}
                     </button>
-                    <button class="btn btn-attend ${member.originalStatus === 'attend' ? 'active' : ''}" data-day="${dayName}" data-member-id="${member.id}" data-action="attend">
-                        ✓ 参加
-                    </button>
-                    <button class="btn btn-absent ${member.originalStatus === 'absent' ? 'active' : ''}" data-day="${dayName}" data-member-id="${member.id}" data-action="absent">
-                        ✗ 欠席
-                    </button>
-                    <button class="btn-delete" data-member-id="${member.id}" data-member-name="${member.name}" data-action="delete" title="メンバーを削除">
+                    ${statusButtons}
+                    ${isSelf && editable && member.originalStatus ? `<button class="btn-comment" data-day="${dayName}" data-member-id="${member.id}" data-action="edit-comment" title="コメントを編集">
+                        💬
+                    </button>` : ''}
+                    ${this.isAdmin() ? `<button class="btn-delete" data-member-id="${member.id}" data-member-name="${member.name}" data-action="delete" title="メンバーをアーカイブ">
                         🗑️
-                    </button>
+                    </button>` : ''}
                 </div>
             </div>`;
         });
 
-        return `<div class="attend-card ${isToday ? 'today' : ''}">
+        const deadlineLabel = locked
+            ? `<div class="deadline-label locked">🔒 回答締切（${this.formatDeadline(dayData)}）を過ぎました・集計確定</div>`
+            : dayData.deadline && isToday && !dayData.closed
+                ? `<div class="deadline-label">⏰ 回答締切 ${this.formatDeadline(dayData)}</div>`
+                : '';
+
+        return `<div class="attend-card ${isToday ? 'today' : ''} ${dayData.closed ? 'closed' : ''} ${locked ? 'locked' : ''}" data-day="${dayName}">
             <div class="header">
                 <div class="header-top">
                     <h1>📋 ${formattedDate}</h1>
                 </div>
+                ${dayData.closed ? `<div class="closed-label">🎌 ${dayData.closed.name}（休業日）</div>` : ''}
+                ${deadlineLabel}
             </div>
             <div class="summary">
-                <div class="summary-item attend">
-                    <div class="summary-number">${attendCount}</div>
-                    <div class="summary-label">参加</div>
-                </div>
-                <div class="summary-item absent">
-                    <div class="summary-number">${absentCount}</div>
-                    <div class="summary-label">欠席</div>
-                </div>
+                ${STATUSES.filter(status => status.always || counts[status.key] > 0).map(status => `
+                <div class="summary-item status-color-${status.key}">
+                    <div class="summary-number">${counts[status.key]}</div>
+                    <div class="summary-label">${status.label}</div>
+                </div>`).join('')}
                 <div class="summary-item pending">
-                    <div class="summary-number">${pendingCount}</div>
+                    <div class="summary-number">${counts.pending}</div>
                     <div class="summary-label">未回答</div>
                 </div>
                 <div class="summary-item total">
                     <div class="summary-number">${totalCount}</div>
                     <div class="summary-label">合計</div>
                 </div>
+                ${isToday && dayData.totalHours > 0 ? `<div class="summary-item total">
+                    <div class="summary-number">${dayData.totalHours}</div>
+                    <div class="summary-label">勤務時間(h)</div>
+                </div>` : ''}
+                ${this.getGroupSummaryHTML(dayData.members)}
             </div>
             <div class="members-container">
                 <div class="members-grid">
                     ${memberFragments.join('')}
-                    <div class="add-member-card">
+                    ${this.isAdmin() ? `<div class="add-member-card">
                         <button class="btn-add-member-card" data-action="add-member">
                             ➕ メンバー追加
                         </button>
-                    </div>
+                    </div>` : ''}
                 </div>
             </div>
         </div>`;
@@ -556,7 +2536,7 @@ class AttendanceApp {
                     // Swipe right
                     this.currentMobileIndex--;
                     this.updateMobilePosition();
-                } else if (deltaX < 0 && this.currentMobileIndex < 4) {
+                } else if (deltaX < 0 && this.currentMobileIndex < this.mobileCardCount - 1) {
                     // Swipe left
                     this.currentMobileIndex++;
                     this.updateMobilePosition();
@@ -580,8 +2560,9 @@ class AttendanceApp {
             if (!isDragging) return;
             currentX = e.clientX;
             const diff = currentX - startX;
-            const currentTransform = -(this.currentMobileIndex * 20);
-            wrapper.style.transform = `translateX(${currentTransform + (diff / window.innerWidth) * 20}%)`;
+            const step = 100 / this.mobileCardCount;
+            const currentTransform = -(this.currentMobileIndex * step);
+            wrapper.style.transform = `translateX(${currentTransform + (diff / window.innerWidth) * step}%)`;
         });
 
         mobileContainer.addEventListener('mouseup', (e) => {
@@ -595,7 +2576,7 @@ class AttendanceApp {
             if (Math.abs(diff) > threshold) {
                 if (diff > 0 && this.currentMobileIndex > 0) {
                     this.currentMobileIndex--;
-                } else if (diff < 0 && this.currentMobileIndex < 4) {
+                } else if (diff < 0 && this.currentMobileIndex < this.mobileCardCount - 1) {
                     this.currentMobileIndex++;
                 }
             }
@@ -610,7 +2591,7 @@ class AttendanceApp {
         const wrapper = document.getElementById('mobileCardsWrapper');
         const indicators = document.querySelectorAll('.swipe-dot');
         
-        wrapper.style.transform = `translateX(-${this.currentMobileIndex * 20}%)`;
+        wrapper.style.transform = `translateX(-${this.currentMobileIndex * (100 / this.mobileCardCount)}%)`;
         
         indicators.forEach((dot, index) => {
             dot.classList.toggle('active', index === this.currentMobileIndex);
@@ -634,12 +2615,11 @@ class AttendanceApp {
         // Use requestIdleCallback to defer heavy operations
         const processAction = () => {
             switch (action) {
-                case 'attend':
-                case 'absent':
+                case 'set-status':
                     this.updateDayAttendance(
                         button.dataset.day,
                         parseInt(button.dataset.memberId),
-                        action
+                        button.dataset.status
                     );
                     break;
                 case 'delete':
@@ -654,6 +2634,16 @@ class AttendanceApp {
                         parseInt(button.dataset.memberId)
                     );
                     break;
+                case 'check-in':
+                case 'check-out':
+                    this.recordCheck(action);
+                    break;
+                case 'edit-comment':
+                    this.editComment(
+                        button.dataset.day,
+                        parseInt(button.dataset.memberId)
+                    );
+                    break;
                 case 'add-member':
                     this.showAddMemberDialog();
                     break;
@@ -675,7 +2665,7 @@ class AttendanceApp {
             const newStatus = currentMember.originalStatus === status ? null : status;
             
             
-            const response = await fetch('/api/attendance/weekly', {
+            const response = await fetch(this.apiUrl('/api/attendance/weekly'), {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -683,10 +2673,27 @@ class AttendanceApp {
                 body: JSON.stringify({ dayName, memberId, status: newStatus }),
             });
             
+            if (this.handleUnauthorized(response)) return;
+            
+            if (response.status === 409) {
+                alert('休業日のため出席を変更できません。');
+                return;
+            }
+
+            if (response.status === 423) {
+                alert('回答の締切を過ぎたため変更できません。');
+                return;
+            }
+            
             if (!response.ok) {
                 throw new Error('Failed to update attendance');
             }
             
+            const result = await response.json();
+            this.showUndoToast(newStatus
+                ? `${dayName}曜を「${this.getStatusLabel(newStatus)}」にしました`
+                : `${dayName}曜の回答を取り消しました`, result.undoId);
+            
             // データはWebSocket経由で更新される
         } catch (error) {
             console.error('Failed to update weekly attendance:', error);
@@ -694,21 +2701,173 @@ class AttendanceApp {
         }
     }
 
-    async pinCurrentSelection(dayName, memberId) {
+    // 出勤・退勤時刻（と勤務時間）を「09:02 – 18:10（9.13h）」の形にする
+    formatWorkTime(member) {
+        const formatTime = (iso) => new Date(iso).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' });
+        const checkOut = member.checkOutAt ? formatTime(member.checkOutAt) : '';
+        const hours = member.hours !== null ? `（${member.hours}h）` : '';
+        return `${formatTime(member.checkInAt)} – ${checkOut}${hours}`;
+    }
+
+    getCheckButtonHTML(member) {
+        if (!member.checkInAt) {
+            return `<button class="btn-check" data-action="check-in" title="出勤時刻を記録">🕘 出勤</button>`;
+        }
+        if (!member.checkOutAt) {
+            return `<button class="btn-check" data-action="check-out" title="退勤時刻を記録">🏁 退勤</button>`;
+        }
+        return '';
+    }
+
+    async recordCheck(type) {
         try {
-            
-            // Find current member data
-            const currentMember = this.data.weekData[dayName].members.find(m => m.id === memberId);
-            
-            // If already matched (pin-matched-*), do nothing
-            if (currentMember.defaultStatus === currentMember.originalStatus) {
+            const response = await fetch(this.apiUrl(`/api/attendance/${type}`), { method: 'POST' });
+
+            if (this.handleUnauthorized(response)) return;
+
+            if (response.status === 409) {
+                alert(type === 'check-in' ? 'すでに出勤済みか、今日は休業日です。' : '出勤していないか、すでに退勤済みです。');
                 return;
             }
+
+            if (!response.ok) {
+                throw new Error(`Failed to ${type}`);
+            }
+
+            const result = await response.json();
+            this.showUndoToast(type === 'check-in' ? '出勤を記録しました' : '退勤を記録しました', result.undoId);
+
+            // データはWebSocket経由で更新される
+        } catch (error) {
+            console.error(`Failed to ${type}:`, error);
+            alert('記録に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async editComment(dayName, memberId) {
+        const currentMember = this.data.weekData[dayName].members.find(m => m.id === memberId);
+        const comment = prompt('コメント（例: 通院、出張。空欄で削除）:', currentMember.comment || '');
+        if (comment === null) return;
+
+        try {
+            const response = await fetch(this.apiUrl('/api/attendance/comment'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ dayName, memberId, comment: comment.trim() || null }),
+            });
+
+            if (this.handleUnauthorized(response)) return;
+
+            if (response.status === 400) {
+                alert('コメントは100文字以内で入力してください。');
+                return;
+            }
+
+            if (response.status === 423) {
+                alert('回答の締切を過ぎたためコメントを変更できません。');
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error('Failed to update comment');
+            }
+
+            const result = await response.json();
+            this.showUndoToast('コメントを更新しました', result.undoId);
+
+            // データはWebSocket経由で更新される
+        } catch (error) {
+            console.error('Failed to update comment:', error);
+            alert('コメントの更新に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    // ピン: 今の選択を毎週のデフォルト、または繰り返しルール（N週ごと・毎月第N曜日）にする
+    async pinCurrentSelection(dayName, memberId) {
+        const dayData = this.data.weekData[dayName];
+        const currentMember = dayData.members.find(m => m.id === memberId);
+        this.pinTarget = { dayName, memberId, status: currentMember.originalStatus, date: dayData.date };
+
+        let rules = [];
+        try {
+            const response = await fetch(this.apiUrl(`/api/rules?memberId=${memberId}`));
+            if (response.ok) {
+                rules = await response.json();
+            }
+        } catch (error) {
+            console.error('Failed to fetch rules:', error);
+        }
+
+        this.openModal('📌 デフォルトに設定', this.generatePinHTML(currentMember, rules));
+    }
+
+    describeRule(rule) {
+        const dayName = DAY_NAMES[rule.dayOfWeek];
+        const pattern = rule.kind === 'weekly'
+            ? `${rule.intervalWeeks === 1 ? '毎週' : `${rule.intervalWeeks}週ごとの`}${dayName}曜日`
+            : `毎月${rule.weekOfMonth === -1 ? '最終' : `第${rule.weekOfMonth}`}${dayName}曜日`;
+        return `${pattern}（${rule.startDate} 〜 ${rule.endDate || ''}）`;
+    }
+
+    generatePinHTML(member, rules) {
+        const { dayName, status, date } = this.pinTarget;
+        const weekOfMonth = Math.ceil(Number(date.slice(8, 10)) / 7);
+        const weekOptions = [1, 2, 3, 4, 5, -1].map(week =>
+            `<option value="${week}" ${week === weekOfMonth ? 'selected' : ''}>${week === -1 ? '最終' : `第${week}`}</option>`
+        ).join('');
+
+        const ruleRows = rules.map(rule => `<div class="manage-row">
+            <span class="member-name">${this.describeRule(rule)}　${this.getStatusLabel(rule.status)}</span>
+            <div class="manage-buttons">
+                <button class="toolbar-btn-dark" data-action="delete-rule" data-rule-id="${rule.id}">削除</button>
+            </div>
+        </div>`).join('');
+
+        const ruleForm = status === null
+            ? '<div class="form-note">未回答は繰り返しルールにできません。先に回答を選んでください。</div>'
+            : `<form data-form="pin-rule" class="import-form">
+                <div class="form-row">
+                    <label>繰り返し（${date} から）</label>
+                    <div class="checkbox-group">
+                        <label class="checkbox-label">
+                            <input type="radio" name="kind" value="weekly" checked>
+                            <input name="intervalWeeks" type="number" min="1" max="52" value="2" style="width: 4em">週ごとの${dayName}曜日
+                        </label>
+                        <label class="checkbox-label">
+                            <input type="radio" name="kind" value="monthly">
+                            毎月<select name="weekOfMonth">${weekOptions}</select>${dayName}曜日
+                        </label>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <label for="ruleEnd">終了日（任意）</label>
+                    <input id="ruleEnd" name="endDate" type="date" min="${date}">
+                </div>
+                <button class="btn btn-primary" type="submit">繰り返しルールを追加</button>
+            </form>`;
+
+        return `
+            ${member.rule ? `<div class="form-note">この日には繰り返しルール「${this.describeRule(member.rule)}」が適用されています。</div>` : ''}
+            <div class="form-note">「${this.getStatusLabel(status)}」をデフォルトにします。</div>
+            <button class="btn btn-primary" data-action="pin-weekday">毎週${dayName}曜日のデフォルトにする</button>
+            ${ruleForm}
+            ${ruleRows ? `<div class="modal-section">
+                <div class="modal-section-title">登録済みの繰り返しルール</div>
+                <div class="manage-list">${ruleRows}</div>
+            </div>` : ''}
+        `;
+    }
+
+    async pinWeekdayDefault() {
+        const { dayName, memberId, status } = this.pinTarget;
+
+        try {
+            // Set user's explicit selection as default (a status key, or 'pending' for null)
+            const newDefaultStatus = status === null ? "pending" : status;
             
-            // Set user's explicit selection as default (can be 'attend', 'absent', or 'pending' for null)
-            const newDefaultStatus = currentMember.originalStatus === null ? "pending" : currentMember.originalStatus;
-            
-            const response = await fetch('/api/member-defaults', {
+            const response = await fetch(this.apiUrl('/api/member-defaults'), {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -720,16 +2879,98 @@ class AttendanceApp {
                 }),
             });
             
+            if (this.handleUnauthorized(response)) return;
+            
+            if (response.status === 423) {
+                alert('回答の締切を過ぎた日に影響するため変更できません。');
+                return;
+            }
+            
             if (!response.ok) {
                 throw new Error('Failed to update member default');
             }
             
+            this.closeModal();
+            const result = await response.json();
+            this.showUndoToast(`${dayName}曜のデフォルトを「${this.getStatusLabel(status)}」にしました`, result.undoId);
+            
             // データはWebSocket経由で更新される
         } catch (error) {
             console.error('Failed to update member default:', error);
             alert('デフォルト設定の更新に失敗しました。もう一度お試しください。');
         }
     }
+
+    async addRule(form) {
+        const { dayName, memberId, status, date } = this.pinTarget;
+        const kind = form.kind.value;
+        const rule = { memberId, kind, status, startDate: date, endDate: form.endDate.value || null };
+        if (kind === 'weekly') {
+            rule.intervalWeeks = parseInt(form.intervalWeeks.value);
+        } else {
+            rule.weekOfMonth = parseInt(form.weekOfMonth.value);
+            rule.dayOfWeek = DAY_NAMES.indexOf(dayName);
+        }
+
+        try {
+            const response = await fetch(this.apiUrl('/api/rules'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(rule),
+            });
+
+            if (this.handleUnauthorized(response)) return;
+            if (response.status === 400) {
+                const result = await response.json();
+                alert(`繰り返しルールが正しくありません。\n${result.error}`);
+                return;
+            }
+            if (response.status === 423) {
+                alert('回答の締切を過ぎた日に影響するため変更できません。');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error('Failed to add rule');
+            }
+
+            this.closeModal();
+            const result = await response.json();
+            this.showUndoToast('繰り返しルールを追加しました', result.undoId);
+            // データはWebSocket経由で更新される
+        } catch (error) {
+            console.error('Failed to add rule:', error);
+            alert('繰り返しルールの追加に失敗しました。もう一度お試しください。');
+        }
+    }
+
+    async deleteRule(ruleId) {
+        if (!confirm('この繰り返しルールを削除しますか？')) return;
+
+        try {
+            const response = await fetch(this.apiUrl(`/api/rules/${ruleId}`), { method: 'DELETE' });
+
+            if (this.handleUnauthorized(response)) return;
+            if (response.status === 423) {
+                alert('回答の締切を過ぎた日に影響するため変更できません。');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error('Failed to delete rule');
+            }
+
+            const result = await response.json();
+            this.showUndoToast('繰り返しルールを削除しました', result.undoId);
+
+            // 週データの更新を待たずに一覧だけ読み直す
+            const { dayName, memberId } = this.pinTarget;
+            this.pinCurrentSelection(dayName, memberId);
+        } catch (error) {
+            console.error('Failed to delete rule:', error);
+            alert('繰り返しルールの削除に失敗しました。もう一度お試しください。');
+        }
+    }
 }
 
 // アプリケーションを開始
@@ -0,0 +1,66 @@
+// CSV helpers shared by the export and import endpoints
+
+// Quote a field when it contains a delimiter, quote or line break.
+// Leading formula characters are escaped so Excel does not evaluate them.
+function formatCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Rows (arrays of fields) to CSV text with CRLF line endings, as Excel expects
+function formatCsv(rows) {
+  return rows.map(row => row.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Parse CSV text into rows of fields. Handles quoted fields, doubled quotes,
+// CRLF or LF line endings and a leading UTF-8 BOM. Row i is line i + 1 of
+// the input as long as no quoted field spans lines.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+module.exports = { formatCsv, parseCsv };
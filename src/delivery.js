@@ -0,0 +1,56 @@
+// Outgoing JSON POSTs with retry. Network errors, timeouts, 429 and 5xx
+// responses are retried with exponential backoff (1s, 2s, 4s by default);
+// other responses are final. Resolves { ok, status, attempts, error } and
+// never rejects, so callers can log the outcome and move on.
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY = 1000;
+const REQUEST_TIMEOUT = 10000;
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function postJson(url, payload, options = {}) {
+  const {
+    headers = {},
+    retries = DEFAULT_RETRIES,
+    baseDelay = DEFAULT_BASE_DELAY
+  } = options;
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+  let result;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+      result = {
+        ok: response.ok,
+        status: response.status,
+        attempts: attempt,
+        error: response.ok ? null : `HTTP ${response.status}`
+      };
+      if (response.ok || !isRetryable(response.status)) {
+        return result;
+      }
+    } catch (error) {
+      result = { ok: false, status: null, attempts: attempt, error: error.message };
+    }
+
+    if (attempt <= retries) {
+      await sleep(baseDelay * 2 ** (attempt - 1));
+    }
+  }
+
+  return result;
+}
+
+module.exports = { postJson };
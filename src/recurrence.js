@@ -0,0 +1,38 @@
+// Recurring default rules. Dates are YYYY-MM-DD strings read as UTC days,
+// the same as the card dates.
+//   weekly:  every `intervalWeeks` weeks on the weekday of `startDate`
+//   monthly: the `weekOfMonth`th `dayOfWeek` of each month (1-5, or -1 for the last)
+// Both apply from `startDate` until an optional `endDate` (inclusive).
+
+const RULE_KINDS = ['weekly', 'monthly'];
+const MAX_INTERVAL_WEEKS = 52;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toUtcDate(dateString) {
+  return new Date(`${dateString}T00:00:00Z`);
+}
+
+function matchesRule(rule, dateString) {
+  if (dateString < rule.startDate || (rule.endDate && dateString > rule.endDate)) {
+    return false;
+  }
+
+  const date = toUtcDate(dateString);
+  if (rule.kind === 'weekly') {
+    const days = Math.round((date - toUtcDate(rule.startDate)) / DAY_MS);
+    return days % (rule.intervalWeeks * 7) === 0;
+  }
+
+  if (date.getUTCDay() !== rule.dayOfWeek) {
+    return false;
+  }
+
+  const dayOfMonth = date.getUTCDate();
+  if (rule.weekOfMonth === -1) {
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    return dayOfMonth + 7 > daysInMonth;
+  }
+  return Math.ceil(dayOfMonth / 7) === rule.weekOfMonth;
+}
+
+module.exports = { RULE_KINDS, MAX_INTERVAL_WEEKS, matchesRule };
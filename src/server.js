@@ -1,6 +1,27 @@
-const fastify = require('fastify')({ logger: true });
+// TRUST_PROXY: reverse proxies in front of the app whose X-Forwarded-For is
+// trusted, so request.ip (rate limit, audit log, undo) is the client's
+// address. "true", a hop count (1 behind cloudflared) or comma-separated
+// addresses/CIDRs; unset trusts nobody.
+function parseTrustProxy(value) {
+  if (!value) return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(part => part.trim());
+}
+
+const fastify = require('fastify')({ logger: true, trustProxy: parseTrustProxy(process.env.TRUST_PROXY) });
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { formatCsv, parseCsv } = require('./csv');
+const { TIME_PATTERN, isValidTimeZone, getZonedDateString, getZonedDateTime, getNextScheduledTime } = require('./time');
+const PUBLIC_HOLIDAYS = require('./holidays-jp');
+const { STATUSES, STATUS_KEYS, STATUS_LABELS, isValidStatus, isPresentStatus } = require('./statuses');
+const { RULE_KINDS, MAX_INTERVAL_WEEKS, matchesRule } = require('./recurrence');
+const { postJson } = require('./delivery');
+const { buildDailySummary } = require('./summary');
+const nodemailer = require('nodemailer');
 
 // Security headers and rate limiting
 const rateLimitMap = new Map();
@@ -118,18 +139,465 @@ fastify.get('/mobile', async (request, reply) => {
 });
 
 // Database setup
-const dbPath = path.join(__dirname, '../data/attendance.db');
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../data/attendance.db');
 const db = new sqlite3.Database(dbPath);
 
+// Promise wrappers around the sqlite3 callback API. Every statement goes
+// through dbQueue, so a statement from one request can never run inside
+// another request's open transaction (see withTransaction); statements issued
+// from within a transaction run directly on its behalf.
+const transactionScope = new AsyncLocalStorage();
+let dbQueue = Promise.resolve();
+
+// Work started inside a transaction but still running after it ended (for
+// example a fire-and-forget broadcast) keeps the store; it goes back to the
+// queue once the transaction is closed.
+function inTransaction() {
+  const store = transactionScope.getStore();
+  return Boolean(store && !store.closed);
+}
+
+function enqueue(task) {
+  const run = dbQueue.then(task);
+  dbQueue = run.catch(() => {});
+  return run;
+}
+
+function runStatement(method, sql, params, resultOf) {
+  const execute = () => new Promise((resolve, reject) => {
+    db[method](sql, params, function(err, rows) {
+      if (err) reject(err);
+      else resolve(resultOf(this, rows));
+    });
+  });
+  return inTransaction() ? execute() : enqueue(execute);
+}
+
+function dbRun(sql, params = []) {
+  return runStatement('run', sql, params, statement => ({ lastID: statement.lastID, changes: statement.changes }));
+}
+
+function dbGet(sql, params = []) {
+  return runStatement('get', sql, params, (statement, row) => row);
+}
+
+function dbAll(sql, params = []) {
+  return runStatement('all', sql, params, (statement, rows) => rows);
+}
+
+// Day names indexed by Date#getDay() (0 = Sunday). Working days, member
+// defaults and the week view all use these numbers.
+const DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+// Working days in display order (Monday first, Sunday last)
+function getWorkingDayNames(workingDays) {
+  return [1, 2, 3, 4, 5, 6, 0]
+    .filter(day => workingDays.includes(day))
+    .map(day => DAY_NAMES[day]);
+}
+
+// Teams
+const DEFAULT_TEAM_SLUG = 'default';
+const DEFAULT_MEMBERS = ['田中', '佐藤', '鈴木', '高橋', '渡辺'];
+
+function getTeamBySlug(slug) {
+  return dbGet("SELECT id, slug, name FROM teams WHERE slug = ?", [slug]);
+}
+
+// Validate and sanitize a member name. Returns { name } or { error }.
+function validateMemberName(name) {
+  if (!name || typeof name !== 'string') {
+    return { error: 'Name is required and must be a string' };
+  }
+  
+  const trimmedName = name.trim();
+  if (trimmedName.length === 0) {
+    return { error: 'Name cannot be empty' };
+  }
+  
+  if (trimmedName.length > 50) {
+    return { error: 'Name cannot exceed 50 characters' };
+  }
+  
+  // Sanitize name (remove dangerous characters)
+  return { name: trimmedName.replace(/[<>"'&]/g, '') };
+}
+
+const MAX_TAGS = 10;
+const TAG_MAX_LENGTH = 30;
+
+// Validate member tags (groups such as a sub-team, role or floor). Returns
+// { tags } trimmed, sanitized and de-duplicated, or { error }.
+function validateTags(tags) {
+  if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+    return { error: 'tags must be an array of strings' };
+  }
+  
+  const cleaned = [...new Set(tags.map(tag => tag.trim().replace(/[<>"'&,]/g, '')).filter(Boolean))];
+  if (cleaned.length > MAX_TAGS) {
+    return { error: `A member can have at most ${MAX_TAGS} tags` };
+  }
+  if (cleaned.some(tag => tag.length > TAG_MAX_LENGTH)) {
+    return { error: `Tags cannot exceed ${TAG_MAX_LENGTH} characters` };
+  }
+  return { tags: cleaned };
+}
+
+// Tags of a team's members: Map of member id -> sorted tags
+async function getMemberTags(teamId) {
+  const rows = await dbAll(`
+    SELECT t.member_id, t.tag 
+    FROM member_tags t 
+    JOIN members m ON m.id = t.member_id 
+    WHERE m.team_id = ? 
+    ORDER BY t.tag
+  `, [teamId]);
+  
+  const tagsByMember = new Map();
+  for (const row of rows) {
+    if (!tagsByMember.has(row.member_id)) tagsByMember.set(row.member_id, []);
+    tagsByMember.get(row.member_id).push(row.tag);
+  }
+  return tagsByMember;
+}
+
+// Map a status cell from an imported CSV to a default status. Status keys and
+// labels are accepted. Empty means no default (null); unknown values return undefined.
+function parseImportedStatus(value) {
+  const text = (value || '').trim().toLowerCase();
+  if (['', '-', '未回答', 'pending'].includes(text)) return null;
+  if (['出席', '○', '✓'].includes(text)) return 'attend';
+  if (['×', '✗'].includes(text)) return 'absent';
+  const status = STATUSES.find(status => status.key === text || status.label === text);
+  return status ? status.key : undefined;
+}
+
+// Members are listed in the team's display order (PUT /api/members/order).
+// New members go to the end.
+const MEMBER_ORDER = 'sort_order ASC, id ASC';
+const NEXT_SORT_ORDER = '(SELECT COALESCE(MAX(sort_order), 0) + 1 FROM members WHERE team_id = ?)';
+
+// Active (not archived) member of a team
+function getTeamMember(teamId, memberId) {
+  return dbGet("SELECT id, name, role FROM members WHERE id = ? AND team_id = ? AND archived_at IS NULL", [memberId, teamId]);
+}
+
+// Insert the default members (with empty weekday defaults) into a team
+async function seedTeam(teamId) {
+  for (const name of DEFAULT_MEMBERS) {
+    const { lastID: memberId } = await dbRun(`INSERT INTO members (team_id, name, sort_order) VALUES (?, ?, ${NEXT_SORT_ORDER})`, [teamId, name, teamId]);
+    for (let day = 0; day < DAY_NAMES.length; day++) {
+      await dbRun("INSERT INTO member_defaults (member_id, day_of_week, default_status) VALUES (?, ?, ?)", [memberId, day, null]);
+    }
+  }
+}
+
+// Schema migrations, applied in order after the base tables exist.
+// PRAGMA user_version stores how many of them have already run.
+const migrations = [
+  // 1: member accounts and login sessions
+  async () => {
+    await dbRun('ALTER TABLE members ADD COLUMN password_hash TEXT');
+    await dbRun(`CREATE TABLE sessions (
+      token TEXT PRIMARY KEY,
+      member_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      FOREIGN KEY(member_id) REFERENCES members(id)
+    )`);
+  },
+  // 2: admin role
+  async () => {
+    await dbRun(`ALTER TABLE members ADD COLUMN role TEXT NOT NULL DEFAULT 'member' 
+                 CHECK(role IN ('member', 'admin'))`);
+  },
+  // 3: teams; existing members move to the default team and names become unique per team
+  async () => {
+    await dbRun(`CREATE TABLE teams (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    const { lastID: teamId } = await dbRun("INSERT INTO teams (slug, name) VALUES (?, ?)", [DEFAULT_TEAM_SLUG, 'AttendCard']);
+    
+    await dbRun(`CREATE TABLE members_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      team_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      password_hash TEXT,
+      role TEXT NOT NULL DEFAULT 'member' CHECK(role IN ('member', 'admin')),
+      FOREIGN KEY(team_id) REFERENCES teams(id),
+      UNIQUE(team_id, name)
+    )`);
+    await dbRun(`INSERT INTO members_new (id, team_id, name, created_at, password_hash, role)
+                 SELECT id, ?, name, created_at, password_hash, role FROM members`, [teamId]);
+    // Carry over the AUTOINCREMENT counter so ids of deleted members are never reused
+    await dbRun("DELETE FROM sqlite_sequence WHERE name = 'members_new'");
+    await dbRun(`INSERT INTO sqlite_sequence (name, seq) 
+                 SELECT 'members_new', seq FROM sqlite_sequence WHERE name = 'members'`);
+    await dbRun('DROP TABLE members');
+    await dbRun('ALTER TABLE members_new RENAME TO members');
+  },
+  // 4: per-team settings (JSON values keyed by setting name)
+  async () => {
+    await dbRun(`CREATE TABLE team_settings (
+      team_id INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(team_id, key),
+      FOREIGN KEY(team_id) REFERENCES teams(id)
+    )`);
+  },
+  // 5: closed days. Rows without a team are the bundled public holidays,
+  // team rows are closures added by an admin.
+  async () => {
+    await dbRun(`CREATE TABLE holidays (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      team_id INTEGER,
+      date DATE NOT NULL,
+      name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(team_id) REFERENCES teams(id),
+      UNIQUE(team_id, date)
+    )`);
+  },
+  // 6: member defaults for any day of the week (0 = Sunday ... 6 = Saturday)
+  async () => {
+    await dbRun(`CREATE TABLE member_defaults_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      member_id INTEGER,
+      day_of_week INTEGER CHECK(day_of_week BETWEEN 0 AND 6),
+      default_status TEXT CHECK(default_status IN ('attend', 'absent') OR default_status IS NULL),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(member_id) REFERENCES members(id),
+      UNIQUE(member_id, day_of_week)
+    )`);
+    await dbRun(`INSERT INTO member_defaults_new (id, member_id, day_of_week, default_status, created_at)
+                 SELECT id, member_id, day_of_week, default_status, created_at FROM member_defaults`);
+    await dbRun('DROP TABLE member_defaults');
+    await dbRun('ALTER TABLE member_defaults_new RENAME TO member_defaults');
+    // Weekend rows so members with defaults have an entry for all seven days
+    for (const day of [0, 6]) {
+      await dbRun(`INSERT INTO member_defaults (member_id, day_of_week, default_status) 
+                   SELECT DISTINCT member_id, ?, NULL FROM member_defaults`, [day]);
+    }
+  },
+  // 7: more statuses (remote, late, early leave, half day, tentative).
+  // The list is spelled out so this migration stays the same when statuses.js grows.
+  async () => {
+    const statuses = "'attend', 'remote', 'late', 'early_leave', 'half_day', 'tentative', 'absent'";
+    
+    await dbRun(`CREATE TABLE attendance_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      member_id INTEGER,
+      date DATE,
+      status TEXT CHECK(status IN (${statuses})),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(member_id) REFERENCES members(id),
+      UNIQUE(member_id, date)
+    )`);
+    await dbRun(`INSERT INTO attendance_new (id, member_id, date, status, created_at)
+                 SELECT id, member_id, date, status, created_at FROM attendance`);
+    await dbRun('DROP TABLE attendance');
+    await dbRun('ALTER TABLE attendance_new RENAME TO attendance');
+    
+    await dbRun(`CREATE TABLE member_defaults_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      member_id INTEGER,
+      day_of_week INTEGER CHECK(day_of_week BETWEEN 0 AND 6),
+      default_status TEXT CHECK(default_status IN (${statuses}) OR default_status IS NULL),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(member_id) REFERENCES members(id),
+      UNIQUE(member_id, day_of_week)
+    )`);
+    await dbRun(`INSERT INTO member_defaults_new (id, member_id, day_of_week, default_status, created_at)
+                 SELECT id, member_id, day_of_week, default_status, created_at FROM member_defaults`);
+    await dbRun('DROP TABLE member_defaults');
+    await dbRun('ALTER TABLE member_defaults_new RENAME TO member_defaults');
+  },
+  // 8: optional comment on an answer (e.g. the reason for an absence)
+  async () => {
+    await dbRun('ALTER TABLE attendance ADD COLUMN comment TEXT');
+  },
+  // 9: check-in / check-out timestamps (ISO 8601, UTC)
+  async () => {
+    await dbRun('ALTER TABLE attendance ADD COLUMN check_in_at DATETIME');
+    await dbRun('ALTER TABLE attendance ADD COLUMN check_out_at DATETIME');
+  },
+  // 10: append-only audit log of attendance and default changes. Default
+  // changes have a day_of_week instead of a date.
+  async () => {
+    await dbRun(`CREATE TABLE audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      team_id INTEGER NOT NULL,
+      actor_member_id INTEGER,
+      actor TEXT NOT NULL,
+      ip TEXT,
+      member_id INTEGER NOT NULL,
+      date DATE,
+      day_of_week INTEGER,
+      old_status TEXT,
+      new_status TEXT,
+      source TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(team_id) REFERENCES teams(id)
+    )`);
+    await dbRun('CREATE INDEX idx_audit_log_team ON audit_log(team_id, id)');
+  },
+  // 11: members are archived instead of deleted; drop the defaults left
+  // behind by members deleted before this
+  async () => {
+    await dbRun('ALTER TABLE members ADD COLUMN archived_at DATETIME');
+    await dbRun('DELETE FROM member_defaults WHERE member_id NOT IN (SELECT id FROM members)');
+  },
+  // 12: custom display order, starting from the previous created_at order
+  async () => {
+    await dbRun('ALTER TABLE members ADD COLUMN sort_order INTEGER NOT NULL DEFAULT 0');
+    await dbRun(`UPDATE members SET sort_order = (
+                   SELECT COUNT(*) FROM members m 
+                   WHERE m.team_id = members.team_id 
+                     AND (m.created_at < members.created_at OR (m.created_at = members.created_at AND m.id <= members.id))
+                 )`);
+  },
+  // 13: member tags (groups)
+  async () => {
+    await dbRun(`CREATE TABLE member_tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      member_id INTEGER NOT NULL,
+      tag TEXT NOT NULL,
+      FOREIGN KEY(member_id) REFERENCES members(id),
+      UNIQUE(member_id, tag)
+    )`);
+  },
+  // 14: absence periods (vacations): a status over a date range, inclusive
+  async () => {
+    await dbRun(`CREATE TABLE member_periods (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      member_id INTEGER NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      status TEXT NOT NULL CHECK(status IN ('attend', 'remote', 'late', 'early_leave', 'half_day', 'tentative', 'absent')),
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(member_id) REFERENCES members(id)
+    )`);
+    await dbRun('CREATE INDEX idx_member_periods_member ON member_periods(member_id, end_date)');
+  },
+  // 15: recurring default rules (see src/recurrence.js)
+  async () => {
+    await dbRun(`CREATE TABLE member_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      member_id INTEGER NOT NULL,
+      kind TEXT NOT NULL CHECK(kind IN ('weekly', 'monthly')),
+      status TEXT NOT NULL CHECK(status IN ('attend', 'remote', 'late', 'early_leave', 'half_day', 'tentative', 'absent')),
+      start_date DATE NOT NULL,
+      end_date DATE,
+      interval_weeks INTEGER,
+      week_of_month INTEGER,
+      day_of_week INTEGER NOT NULL CHECK(day_of_week BETWEEN 0 AND 6),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(member_id) REFERENCES members(id)
+    )`);
+  },
+  // 16: outgoing webhooks and their delivery log. `events` is a JSON array.
+  async () => {
+    await dbRun(`CREATE TABLE webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      team_id INTEGER NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(team_id) REFERENCES teams(id)
+    )`);
+    await dbRun(`CREATE TABLE webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      event_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      success INTEGER NOT NULL,
+      response_status INTEGER,
+      attempts INTEGER NOT NULL,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(webhook_id) REFERENCES webhooks(id)
+    )`);
+    await dbRun('CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)');
+  },
+  // 17: one-time setup codes for members without a password
+  async () => {
+    await dbRun('ALTER TABLE members ADD COLUMN setup_code_hash TEXT');
+    await dbRun('ALTER TABLE members ADD COLUMN setup_code_expires_at DATETIME');
+  },
+  // 18: what a rule or period change was about, as JSON ({ rule } or { period })
+  async () => {
+    await dbRun('ALTER TABLE audit_log ADD COLUMN detail TEXT');
+  }
+];
+
+// Run fn inside BEGIN/COMMIT, rolling back if it throws. The whole
+// transaction is one task on dbQueue, so other statements wait until it has
+// committed or rolled back. A nested call joins the outer transaction.
+// Callbacks registered with afterCommit() run once it has committed.
+function withTransaction(fn) {
+  if (inTransaction()) {
+    return fn();
+  }
+  const store = { closed: false, afterCommit: [] };
+  const run = enqueue(() => transactionScope.run(store, async () => {
+    await dbRun('BEGIN');
+    try {
+      const result = await fn();
+      await dbRun('COMMIT');
+      return result;
+    } catch (error) {
+      await dbRun('ROLLBACK');
+      throw error;
+    } finally {
+      store.closed = true;
+    }
+  }));
+  return run.then(result => {
+    store.afterCommit.forEach(callback => callback());
+    return result;
+  });
+}
+
+// Run callback after the current transaction commits (dropped on rollback),
+// or right away outside a transaction
+function afterCommit(callback) {
+  if (inTransaction()) {
+    transactionScope.getStore().afterCommit.push(callback);
+  } else {
+    callback();
+  }
+}
+
+async function runMigrations() {
+  const { user_version: version } = await dbGet('PRAGMA user_version');
+  
+  for (let i = version; i < migrations.length; i++) {
+    console.log(`Applying database migration ${i + 1}`);
+    await withTransaction(async () => {
+      await migrations[i]();
+      await dbRun(`PRAGMA user_version = ${i + 1}`);
+    });
+  }
+}
+
 // Initialize database
-db.serialize(() => {
-  db.run(`CREATE TABLE IF NOT EXISTS members (
+async function initDatabase() {
+  await dbRun(`CREATE TABLE IF NOT EXISTS members (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     name TEXT UNIQUE NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   )`);
   
-  db.run(`CREATE TABLE IF NOT EXISTS attendance (
+  await dbRun(`CREATE TABLE IF NOT EXISTS attendance (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     member_id INTEGER,
     date DATE,
@@ -139,7 +607,7 @@ db.serialize(() => {
     UNIQUE(member_id, date)
   )`);
   
-  db.run(`CREATE TABLE IF NOT EXISTS member_defaults (
+  await dbRun(`CREATE TABLE IF NOT EXISTS member_defaults (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     member_id INTEGER,
     day_of_week INTEGER CHECK(day_of_week IN (1,2,3,4,5)),
@@ -149,632 +617,2822 @@ db.serialize(() => {
     UNIQUE(member_id, day_of_week)
   )`);
   
-  // Insert default members if none exist
-  db.get("SELECT COUNT(*) as count FROM members", (err, row) => {
-    if (row.count === 0) {
-      const defaultMembers = ['田中', '佐藤', '鈴木', '高橋', '渡辺'];
-      const stmt = db.prepare("INSERT INTO members (name) VALUES (?)");
-      defaultMembers.forEach(name => stmt.run(name));
-      stmt.finalize();
-    }
-  });
+  await runMigrations();
+  
+  // Seed the default team if it has no members yet
+  const defaultTeam = await getTeamBySlug(DEFAULT_TEAM_SLUG);
+  const { count } = await dbGet("SELECT COUNT(*) as count FROM members WHERE team_id = ?", [defaultTeam.id]);
+  if (count === 0) {
+    await seedTeam(defaultTeam.id);
+  }
   
   // Ensure all existing members have default settings
-  db.all(`
+  const rows = await dbAll(`
     SELECT DISTINCT m.id 
     FROM members m 
     LEFT JOIN member_defaults md ON m.id = md.member_id 
     WHERE md.member_id IS NULL
-  `, (err, rows) => {
-    if (!err && rows.length > 0) {
-      const defaultStmt = db.prepare("INSERT INTO member_defaults (member_id, day_of_week, default_status) VALUES (?, ?, ?)");
-      rows.forEach(row => {
-        for (let day = 1; day <= 5; day++) {
-          defaultStmt.run(row.id, day, null);
-        }
-      });
-      defaultStmt.finalize();
+  `);
+  for (const row of rows) {
+    for (let day = 0; day < DAY_NAMES.length; day++) {
+      await dbRun("INSERT INTO member_defaults (member_id, day_of_week, default_status) VALUES (?, ?, ?)", [row.id, day, null]);
+    }
+  }
+  
+  // Replace the stored public holidays with the bundled list
+  await withTransaction(async () => {
+    await dbRun("DELETE FROM holidays WHERE team_id IS NULL");
+    for (const [date, name] of PUBLIC_HOLIDAYS) {
+      await dbRun("INSERT INTO holidays (team_id, date, name) VALUES (NULL, ?, ?)", [date, name]);
     }
   });
-});
-
-// WebSocket connections
-const connections = new Set();
+}
 
-// WebSocket endpoint
-fastify.register(async function (fastify) {
-  fastify.get('/ws', { websocket: true }, (connection, req) => {
-    console.log('New WebSocket connection established');
-    connections.add(connection.socket);
-    
-    connection.socket.on('close', () => {
-      console.log('WebSocket connection closed');
-      connections.delete(connection.socket);
+// Password hashing (scrypt, stored as "salt:hash" in hex)
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) reject(err);
+      else resolve(`${salt.toString('hex')}:${derivedKey.toString('hex')}`);
     });
-    
-    connection.socket.on('error', (error) => {
-      console.log('WebSocket error:', error);
-      connections.delete(connection.socket);
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const [saltHex, hashHex] = stored.split(':');
+    const expected = Buffer.from(hashHex, 'hex');
+    crypto.scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, (err, derivedKey) => {
+      if (err) reject(err);
+      else resolve(crypto.timingSafeEqual(derivedKey, expected));
     });
   });
+}
+
+// Session cookie handling
+const SESSION_COOKIE = 'attendcard_session';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60; // 30 days (seconds)
+const PASSWORD_MIN_LENGTH = 6;
+
+// One-time setup codes, issued by an admin, let a member without a password
+// choose one. The code is stored hashed like a password.
+const SETUP_CODE_MAX_AGE = 7 * 24 * 60 * 60; // 7 days (seconds)
+const SETUP_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SETUP_CODE_LENGTH = 10;
+
+async function issueSetupCode(memberId) {
+  const code = Array.from({ length: SETUP_CODE_LENGTH }, () => SETUP_CODE_ALPHABET[crypto.randomInt(SETUP_CODE_ALPHABET.length)]).join('');
+  await dbRun(`UPDATE members SET setup_code_hash = ?, setup_code_expires_at = datetime('now', ?) WHERE id = ?`, 
+    [await hashPassword(code), `+${SETUP_CODE_MAX_AGE} seconds`, memberId]);
+  const { setup_code_expires_at: expiresAt } = await dbGet("SELECT setup_code_expires_at FROM members WHERE id = ?", [memberId]);
+  return { setupCode: code, expiresAt };
+}
+
+// Optional admin token (X-Admin-Token header) for bootstrapping the first admin
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const key = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[key] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[key] = value;
+    }
+  }
+  return cookies;
+}
+
+function setSessionCookie(request, reply, token, maxAge) {
+  const attributes = [
+    `${SESSION_COOKIE}=${token}`,
+    'Path=/',
+    `Max-Age=${maxAge}`,
+    'HttpOnly',
+    'SameSite=Lax'
+  ];
+  if (request.protocol === 'https') {
+    attributes.push('Secure');
+  }
+  reply.header('Set-Cookie', attributes.join('; '));
+}
+
+// Resolve the logged-in member from the session cookie
+fastify.decorateRequest('member', null);
+fastify.decorateRequest('sessionToken', null);
+fastify.decorateRequest('isAdmin', false);
+fastify.decorateRequest('team', null);
+
+function isValidAdminToken(token) {
+  if (!ADMIN_TOKEN || typeof token !== 'string') return false;
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+fastify.addHook('preHandler', async (request, reply) => {
+  if (isValidAdminToken(request.headers['x-admin-token'])) {
+    request.isAdmin = true;
+  }
+  
+  const token = parseCookies(request.headers.cookie)[SESSION_COOKIE];
+  if (!token) return;
+  
+  const row = await dbGet(`
+    SELECT s.token, m.id, m.team_id, m.name, m.role
+    FROM sessions s
+    JOIN members m ON m.id = s.member_id
+    WHERE s.token = ? AND s.expires_at > datetime('now')
+  `, [token]);
+  
+  if (row) {
+    request.member = { id: row.id, teamId: row.team_id, name: row.name, role: row.role };
+    request.sessionToken = row.token;
+  }
 });
 
-// Broadcast to all connected clients
-function broadcast(data) {
+// Route-level guard for endpoints that need a logged-in member
+async function requireMember(request, reply) {
+  if (!request.member) {
+    return reply.status(401).send({ error: 'Login required' });
+  }
+}
+
+// Route-level guard for admin-only endpoints (admin role in the team, or admin token)
+async function requireAdmin(request, reply) {
+  if (!request.isAdmin) {
+    return reply.status(403).send({ error: 'Admin privileges required' });
+  }
+}
+
+// WebSocket connections, grouped by team id
+const connections = new Map();
+
+// Broadcast to all clients viewing a team
+function broadcast(teamId, data) {
+  const sockets = connections.get(teamId);
+  if (!sockets) return;
+  
   const message = JSON.stringify(data);
-  console.log(`Broadcasting to ${connections.size} clients:`, data);
-  connections.forEach(connection => {
+  console.log(`Broadcasting to ${sockets.size} clients of team ${teamId}:`, data);
+  sockets.forEach(connection => {
     console.log('Connection readyState:', connection.readyState);
     if (connection.readyState === 1) { // WebSocket.OPEN = 1
       console.log('Sending message to client');
       connection.send(message);
     } else {
       console.log('Connection not open, removing from set');
-      connections.delete(connection);
+      sockets.delete(connection);
     }
   });
 }
 
-// API Routes
-// Get weekly attendance data (5 weekdays starting from today)
-fastify.get('/api/attendance/week', async (request, reply) => {
-  try {
-    const weekData = await getWeekData();
-    reply.send(weekData);
-  } catch (error) {
-    console.error('Error fetching week data:', error);
-    reply.status(500).send({ error: 'Failed to fetch week data' });
-  }
-});
-
-// Cache for optimized week data
-let weekDataCache = null;
-let cacheTimestamp = 0;
+// Cache for optimized week data, keyed by team id
+const weekDataCache = new Map();
 const CACHE_DURATION = 1000; // 1 second cache
 
-// Helper function to get week data with caching
-async function getWeekData() {
+// Week updates sent to clients carry a per-team sequence number (`seq`) so a
+// client can tell it has missed one and fetch a fresh snapshot. Week data is
+// tagged with the sequence number it is current as of.
+const weekSequences = new Map();
+
+function getWeekSequence(teamId) {
+  return weekSequences.get(teamId) || 0;
+}
+
+// Helper function to get a team's week data with caching
+async function getWeekData(teamId) {
   const now = Date.now();
   
   // Return cached data if still valid
-  if (weekDataCache && (now - cacheTimestamp) < CACHE_DURATION) {
-    return weekDataCache;
+  const cached = weekDataCache.get(teamId);
+  if (cached && (now - cached.timestamp) < CACHE_DURATION) {
+    return cached.data;
+  }
+  
+  const seq = getWeekSequence(teamId);
+  const result = await buildWeekData(teamId, seq);
+  
+  // An update sent while this was being built may have made it stale
+  if (getWeekSequence(teamId) === seq) {
+    weekDataCache.set(teamId, { data: result, timestamp: now });
   }
+  
+  return result;
+}
 
+async function buildWeekData(teamId, seq) {
   // Calculate dates once
-  const dayNames = ['月', '火', '水', '木', '金'];
-  const currentDay = new Date().getDay();
-  const dates = calculateWeekDates(dayNames, currentDay);
-  const dateStrings = dates.map(d => d.dateString);
-  
-  // Single optimized query to get all required data
-  const allData = await new Promise((resolve, reject) => {
-    const query = `
-      SELECT 
-        m.id as member_id,
-        m.name as member_name,
-        m.created_at as member_created_at,
-        md.day_of_week,
-        md.default_status,
-        a.date as attendance_date,
-        a.status as attendance_status
-      FROM members m
-      LEFT JOIN member_defaults md ON m.id = md.member_id
-      LEFT JOIN attendance a ON m.id = a.member_id 
-        AND a.date IN (${dateStrings.map(() => '?').join(',')})
-      ORDER BY m.created_at ASC, md.day_of_week ASC
-    `;
-    
-    db.all(query, dateStrings, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
+  const settings = await getTeamSettings(teamId);
+  const { workingDays, timeZone } = settings;
+  const dates = calculateWeekDates(workingDays, timeZone);
+  
+  const { members, days } = await buildAttendanceDays(teamId, dates);
+  
+  // Key the week by day name; dayOrder keeps the chronological card order.
+  // `deadline` is when the day's answers lock (null without a deadline).
+  const weekData = {};
+  for (const day of days) {
+    const deadline = getAnswerDeadline(settings, day.date);
+    weekData[day.day] = { ...day, deadline: deadline ? deadline.toISOString() : null };
+  }
+
+  return { members, weekData, dayOrder: days.map(day => day.day), workingDays, seq };
+}
+
+// Build per-day attendance for a team. Members without an explicit answer get
+// the status of an absence period covering the day (`period`), else their
+// default, except on closed days (`closed` is set). `defaultStatus` is the
+// newest matching recurrence rule (`rule`) or else the weekday default.
+// Check-in/out times come with the hours worked per member and per day.
+// Archived members are listed only on days before they were archived.
+// Members carry their tags.
+// `dates` is a sorted list of { dayName, dateString }.
+async function buildAttendanceDays(teamId, dates) {
+  if (dates.length === 0) {
+    return { members: [], days: [] };
+  }
+  
+  const firstDate = dates[0].dateString;
+  const lastDate = dates[dates.length - 1].dateString;
+  
+  const memberRows = await dbAll(`
+    SELECT id, name, created_at, date(archived_at) AS archivedOn 
+    FROM members 
+    WHERE team_id = ? AND (archived_at IS NULL OR date(archived_at) > ?) 
+    ORDER BY ${MEMBER_ORDER}
+  `, [teamId, firstDate]);
+  const tagsByMember = await getMemberTags(teamId);
+  const members = memberRows.map(member => ({ ...member, tags: tagsByMember.get(member.id) || [] }));
+  
+  const defaultRows = await dbAll(`
+    SELECT md.member_id, md.day_of_week, md.default_status
+    FROM member_defaults md
+    JOIN members m ON m.id = md.member_id
+    WHERE m.team_id = ?
+  `, [teamId]);
+  
+  const attendanceRows = await dbAll(`
+    SELECT a.member_id, a.date, a.status, a.comment, a.check_in_at, a.check_out_at
+    FROM attendance a
+    JOIN members m ON m.id = a.member_id
+    WHERE m.team_id = ? AND a.date BETWEEN ? AND ?
+  `, [teamId, firstDate, lastDate]);
+  
+  // Newest first, so the most recently added period wins where two overlap
+  const periodRows = await dbAll(`
+    SELECT p.id, p.member_id, p.start_date, p.end_date, p.status, p.reason
+    FROM member_periods p
+    JOIN members m ON m.id = p.member_id
+    WHERE m.team_id = ? AND p.start_date <= ? AND p.end_date >= ?
+    ORDER BY p.id DESC
+  `, [teamId, lastDate, firstDate]);
+  
+  const ruleRows = await dbAll(`
+    SELECT r.id, r.member_id AS memberId, r.kind, r.status, r.start_date AS startDate, r.end_date AS endDate,
+           r.interval_weeks AS intervalWeeks, r.week_of_month AS weekOfMonth, r.day_of_week AS dayOfWeek
+    FROM member_rules r
+    JOIN members m ON m.id = r.member_id
+    WHERE m.team_id = ? AND r.start_date <= ? AND (r.end_date IS NULL OR r.end_date >= ?)
+    ORDER BY r.id DESC
+  `, [teamId, lastDate, firstDate]);
+  
+  const closedDays = await getClosedDays(teamId, firstDate, lastDate);
 
-  // Process data efficiently
-  const membersMap = new Map();
   const attendanceMap = new Map();
+  for (const row of attendanceRows) {
+    attendanceMap.set(`${row.member_id}-${row.date}`, row);
+  }
+  
   const defaultsMap = new Map();
+  for (const row of defaultRows) {
+    defaultsMap.set(`${row.member_id}-${row.day_of_week}`, row.default_status);
+  }
 
-  // Single pass to organize all data
-  for (const row of allData) {
-    const memberId = row.member_id;
-    
-    // Build members map
-    if (!membersMap.has(memberId)) {
-      membersMap.set(memberId, {
-        id: memberId,
-        name: row.member_name,
-        created_at: row.member_created_at
-      });
-    }
+  const days = dates.map(({ dayName, dateString }) => {
+    const dayIndex = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+    const closed = closedDays.get(dateString) || null;
     
-    // Build attendance map
-    if (row.attendance_date) {
-      const key = `${memberId}-${row.attendance_date}`;
-      attendanceMap.set(key, row.attendance_status);
-    }
+    const dayMembers = members.filter(member => !member.archivedOn || dateString < member.archivedOn).map(member => {
+      const attendanceKey = `${member.id}-${dateString}`;
+      const defaultKey = `${member.id}-${dayIndex}`;
+      
+      const record = attendanceMap.get(attendanceKey);
+      const currentStatus = record ? record.status : null;
+      const rule = ruleRows.find(row => row.memberId === member.id && matchesRule(row, dateString));
+      const defaultStatus = rule ? rule.status : (defaultsMap.get(defaultKey) || null);
+      const period = periodRows.find(row => row.member_id === member.id && row.start_date <= dateString && row.end_date >= dateString);
+      
+      let appliedStatus = currentStatus;
+      if (currentStatus === null && !closed) {
+        appliedStatus = period ? period.status : defaultStatus;
+      }
+      
+      return {
+        ...member,
+        status: appliedStatus,
+        originalStatus: currentStatus,
+        defaultStatus: defaultStatus,
+        period: period ? { id: period.id, status: period.status, reason: period.reason } : null,
+        rule: rule || null,
+        comment: record ? record.comment : null,
+        checkInAt: record ? record.check_in_at : null,
+        checkOutAt: record ? record.check_out_at : null,
+        hours: record ? calculateHours(record.check_in_at, record.check_out_at) : null
+      };
+    });
     
-    // Build defaults map
-    if (row.day_of_week !== null) {
-      const key = `${memberId}-${row.day_of_week}`;
-      defaultsMap.set(key, row.default_status);
-    }
-  }
-
-  const members = Array.from(membersMap.values());
-  const weekData = {};
-
-  // Build week data efficiently
-  for (const { dayName, dateString } of dates) {
-    const dayIndex = dayNames.indexOf(dayName) + 1;
+    const totalHours = dayMembers.reduce((sum, member) => sum + (member.hours || 0), 0);
     
-    weekData[dayName] = {
+    return {
       day: dayName,
       date: dateString,
-      members: members.map(member => {
-        const attendanceKey = `${member.id}-${dateString}`;
-        const defaultKey = `${member.id}-${dayIndex}`;
-        
-        const currentStatus = attendanceMap.get(attendanceKey) || null;
-        const defaultStatus = defaultsMap.get(defaultKey) || null;
-        
-        const appliedStatus = (currentStatus === null && defaultStatus !== undefined) ? defaultStatus : currentStatus;
-        
-        return {
-          ...member,
-          status: appliedStatus,
-          originalStatus: currentStatus,
-          defaultStatus: defaultStatus
-        };
-      })
+      closed,
+      totalHours: Math.round(totalHours * 100) / 100,
+      members: dayMembers
     };
-  }
+  });
 
-  const result = { members, weekData };
-  
-  // Update cache
-  weekDataCache = result;
-  cacheTimestamp = now;
-  
-  return result;
+  return { members, days };
 }
 
-// Helper function to calculate week dates
-function calculateWeekDates(dayNames, currentDay) {
-  const now = new Date();
-  let currentDate = new Date(now);
-  
-  // If today is weekend, start from next Monday
-  if (currentDay === 0) { // Sunday
-    currentDate.setDate(now.getDate() + 1);
-  } else if (currentDay === 6) { // Saturday
-    currentDate.setDate(now.getDate() + 2);
-  }
-  
+// Helper function to calculate week dates: one card per working day, starting
+// from today in the team's time zone (or the next working day) and running for
+// at most seven days
+function calculateWeekDates(workingDays, timeZone) {
+  const currentDate = parseDateString(getZonedDateString(new Date(), timeZone));
   const dates = [];
-  let daysCollected = 0;
   
-  while (daysCollected < 5) {
-    const dayOfWeek = currentDate.getDay();
+  while (dates.length < workingDays.length) {
+    const dayOfWeek = currentDate.getUTCDay();
     
-    if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-      const dayName = dayNames[dayOfWeek - 1];
+    if (workingDays.includes(dayOfWeek)) {
       dates.push({
-        dayName,
+        dayName: DAY_NAMES[dayOfWeek],
         dateString: currentDate.toISOString().split('T')[0]
       });
-      daysCollected++;
     }
     
-    currentDate.setDate(currentDate.getDate() + 1);
+    currentDate.setUTCDate(currentDate.getUTCDate() + 1);
   }
   
   return dates;
 }
 
-// Function to invalidate cache when data changes
-function invalidateWeekDataCache() {
-  weekDataCache = null;
-  cacheTimestamp = 0;
+// Hours between check-in and check-out, rounded to 2 decimals (null until both are set)
+function calculateHours(checkInAt, checkOutAt) {
+  if (!checkInAt || !checkOutAt) return null;
+  const milliseconds = new Date(checkOutAt) - new Date(checkInAt);
+  return Math.round(milliseconds / (60 * 60 * 1000) * 100) / 100;
 }
 
+// Clear the answers (status and comment) matching `where`. Rows with a
+// check-in are kept so the recorded times survive; the rest are deleted.
+async function clearAttendanceAnswers(where, params) {
+  const updated = await dbRun(`UPDATE attendance SET status = NULL, comment = NULL 
+                               WHERE ${where} AND check_in_at IS NOT NULL`, params);
+  const deleted = await dbRun(`DELETE FROM attendance WHERE ${where} AND check_in_at IS NULL`, params);
+  return updated.changes + deleted.changes;
+}
 
-// Update weekly attendance status
-fastify.post('/api/attendance/weekly', async (request, reply) => {
-  try {
-    const { dayName, memberId, status } = request.body;
-    
-    if (!dayName || !memberId) {
-      return reply.status(400).send({ error: 'dayName and memberId are required' });
-    }
-    
-    // Convert day name to date - use the same logic as getWeekData()
-    const dayNames = ['月', '火', '水', '木', '金'];
-    
-    // Validate day name
-    if (!dayNames.includes(dayName)) {
-      return reply.status(400).send({ error: 'Invalid day name' });
-    }
-    
-    // Get 5 weekdays starting from today and find the target date
-    const now = new Date();
-    const currentDay = now.getDay(); // 0=日, 1=月, 2=火, 3=水, 4=木, 5=金, 6=土
-    
-    let currentDate = new Date(now);
-    
-    // If today is weekend, start from next Monday
-    if (currentDay === 0) { // Sunday
-      currentDate.setDate(now.getDate() + 1); // Next Monday
-    } else if (currentDay === 6) { // Saturday
-      currentDate.setDate(now.getDate() + 2); // Next Monday
-    }
-    
-    // Collect weekdays in the same order as getWeekData()
-    const dates = [];
-    let daysCollected = 0;
-    let targetDate = null;
-    
-    while (daysCollected < 5) {
-      const dayOfWeek = currentDate.getDay();
-      
-      // Only process weekdays (Monday=1 to Friday=5)
-      if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-        const currentDayName = dayNames[dayOfWeek - 1];
-        dates.push({
-          date: new Date(currentDate),
-          dayName: currentDayName
-        });
-        
-        // Check if this is our target day
-        if (currentDayName === dayName) {
-          targetDate = new Date(currentDate);
-        }
-        
-        daysCollected++;
-      }
-      
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
-    
-    if (!targetDate) {
-      return reply.status(400).send({ error: 'Could not calculate target date' });
-    }
-    const dateString = targetDate.toISOString().split('T')[0];
-    
-    if (status === null) {
-      // Remove attendance record
-      await new Promise((resolve, reject) => {
-        db.run('DELETE FROM attendance WHERE member_id = ? AND date = ?', 
-          [memberId, dateString], function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    } else {
-      // Insert or update attendance record
-      await new Promise((resolve, reject) => {
-        db.run(`INSERT OR REPLACE INTO attendance (member_id, date, status) 
-                VALUES (?, ?, ?)`, 
-          [memberId, dateString, status], function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    }
-    
-    // Invalidate cache and broadcast update
-    invalidateWeekDataCache();
-    
-    // Get fresh data and broadcast directly (faster than HTTP inject)
-    try {
-      const weekData = await getWeekData();
-      broadcast({
-        type: 'weekly_update',
-        data: weekData
-      });
-    } catch (error) {
-      console.error('Error broadcasting weekly update:', error);
-    }
-    
-    reply.send({ success: true });
-  } catch (error) {
-    console.error('Error updating weekly attendance:', error);
-    reply.status(500).send({ error: 'Failed to update attendance' });
+// Audit log. Sources name what made the change.
+const AUDIT_SOURCES = ['ui', 'comment_change', 'check_in', 'default_change', 'rule_change', 'period_change', 'admin_reset', 'auto_reset', 'undo'];
+const RESET_SOURCES = ['admin_reset', 'auto_reset'];
+const SYSTEM_ACTOR = { memberId: null, name: 'system', ip: null };
+
+// Who is making a request, for the audit log
+function getAuditActor(request) {
+  if (request.member) {
+    return { memberId: request.member.id, name: request.member.name, ip: request.ip };
   }
-});
+  return { memberId: null, name: request.isAdmin ? 'admin token' : 'anonymous', ip: request.ip };
+}
 
-// Update member default status for a specific day
-fastify.post('/api/member-defaults', async (request, reply) => {
-  try {
-    const { memberId, dayName, status } = request.body;
-    
-    if (!memberId || !dayName) {
-      return reply.status(400).send({ error: 'memberId and dayName are required' });
-    }
-    
-    // Convert day name to day index (1=月, 2=火, 3=水, 4=木, 5=金)
-    const dayNames = ['月', '火', '水', '木', '金'];
-    const dayIndex = dayNames.indexOf(dayName) + 1;
-    
-    if (dayIndex === 0) {
-      return reply.status(400).send({ error: 'Invalid day name' });
-    }
+// Append one entry per change: { memberId, date, dayOfWeek, oldStatus, newStatus }.
+// Entries whose status did not change are skipped. Each logged change is also
+// sent to webhooks as attendance.changed or default.changed; resets send a
+// single day.reset instead (see resetTeamAttendance).
+async function recordAudit(teamId, actor, source, changes) {
+  for (const change of changes) {
+    const oldStatus = change.oldStatus === undefined ? null : change.oldStatus;
+    const newStatus = change.newStatus === undefined ? null : change.newStatus;
+    // A comment change keeps the status and carries the comments in detail
+    if (oldStatus === newStatus && !change.detail) continue;
     
-    if (status === "remove") {
-      // Remove default setting
-      await new Promise((resolve, reject) => {
-        db.run('DELETE FROM member_defaults WHERE member_id = ? AND day_of_week = ?', 
-          [memberId, dayIndex], function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
-    } else {
-      // Insert or update default setting (status can be 'attend', 'absent', or 'pending' for null)
-      const dbStatus = status === "pending" ? null : status;
-      await new Promise((resolve, reject) => {
-        db.run(`INSERT OR REPLACE INTO member_defaults (member_id, day_of_week, default_status) 
-                VALUES (?, ?, ?)`, 
-          [memberId, dayIndex, dbStatus], function(err) {
-          if (err) reject(err);
-          else resolve();
-        });
+    if (change.date && !RESET_SOURCES.includes(source)) {
+      emitWebhookEvent(teamId, 'attendance.changed', {
+        memberId: change.memberId, date: change.date, oldStatus, newStatus, ...change.detail, source, actor: actor.name
       });
-    }
-    
-    // Invalidate cache and broadcast update
-    invalidateWeekDataCache();
-    
-    // Get fresh data and broadcast directly
-    try {
-      const weekData = await getWeekData();
-      broadcast({
-        type: 'weekly_update',
-        data: weekData
+    } else if (change.dayOfWeek !== undefined || change.detail) {
+      emitWebhookEvent(teamId, 'default.changed', {
+        memberId: change.memberId, dayOfWeek: change.dayOfWeek === undefined ? null : change.dayOfWeek,
+        ...change.detail, oldStatus, newStatus, source, actor: actor.name
       });
-    } catch (error) {
-      console.error('Error broadcasting member default update:', error);
     }
     
-    reply.send({ success: true });
-  } catch (error) {
-    console.error('Error updating member default:', error);
-    reply.status(500).send({ error: 'Failed to update member default' });
+    await dbRun(`INSERT INTO audit_log 
+                 (team_id, actor_member_id, actor, ip, member_id, date, day_of_week, old_status, new_status, source, detail) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+      teamId, actor.memberId, actor.name, actor.ip, change.memberId,
+      change.date || null, change.dayOfWeek === undefined ? null : change.dayOfWeek,
+      oldStatus, newStatus, source, change.detail ? JSON.stringify(change.detail) : null
+    ]);
   }
-});
+}
 
+// Outgoing webhooks. Each event is POSTed as JSON { id, type, createdAt, data }
+// to every team webhook subscribed to its type, signed with the webhook's
+// secret: X-AttendCard-Signature: sha256=<hex HMAC-SHA256 of the raw body>.
+// Deliveries are retried (see src/delivery.js) and logged, keeping the last
+// WEBHOOK_LOG_LIMIT per webhook.
+const WEBHOOK_EVENTS = ['attendance.changed', 'member.added', 'member.deleted', 'default.changed', 'day.reset'];
+const WEBHOOK_LOG_LIMIT = 100;
+const MAX_WEBHOOKS = 10;
 
-fastify.get('/api/members', async (request, reply) => {
-  return new Promise((resolve, reject) => {
-    db.all("SELECT * FROM members ORDER BY created_at ASC", (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(rows);
-      }
-    });
+function signWebhookBody(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+async function deliverWebhook(webhook, event) {
+  const body = JSON.stringify(event);
+  const delivery = await postJson(webhook.url, body, {
+    headers: {
+      'X-AttendCard-Event': event.type,
+      'X-AttendCard-Delivery': event.id,
+      'X-AttendCard-Signature': signWebhookBody(webhook.secret, body)
+    }
   });
-});
+  
+  await dbRun(`INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload, success, response_status, attempts, error) 
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, 
+    [webhook.id, event.id, event.type, body, delivery.ok ? 1 : 0, delivery.status, delivery.attempts, delivery.error]);
+  await dbRun(`DELETE FROM webhook_deliveries WHERE webhook_id = ? AND id NOT IN (
+                 SELECT id FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?
+               )`, [webhook.id, webhook.id, WEBHOOK_LOG_LIMIT]);
+  
+  if (!delivery.ok) {
+    console.error(`Webhook ${webhook.id} ${event.type} failed after ${delivery.attempts} attempts: ${delivery.error}`);
+  }
+}
 
-fastify.post('/api/members', async (request, reply) => {
-  const { name } = request.body;
+async function sendWebhookEvent(teamId, type, data) {
+  const webhooks = await dbAll("SELECT id, url, secret, events FROM webhooks WHERE team_id = ?", [teamId]);
+  const subscribed = webhooks.filter(webhook => JSON.parse(webhook.events).includes(type));
+  if (subscribed.length === 0) return;
   
-  // Input validation
-  if (!name || typeof name !== 'string') {
-    return reply.status(400).send({ error: 'Name is required and must be a string' });
+  const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+  await Promise.all(subscribed.map(webhook => deliverWebhook(webhook, event)));
+}
+
+// Fire and forget: callers never wait for (or fail on) webhook delivery.
+// Inside a transaction the event is only sent once it has committed.
+function emitWebhookEvent(teamId, type, data) {
+  afterCommit(() => {
+    sendWebhookEvent(teamId, type, data).catch(err => {
+      console.error('Error sending webhook event:', err);
+    });
+  });
+}
+
+// Undo. Each client (login session, or admin token from one IP) can revert
+// its most recent change for UNDO_WINDOW. An entry keeps the rows as they
+// were before the change: { member, attendance: [{ memberId, date, row }],
+// defaults: [{ memberId, dayOfWeek, row }], rules: [{ memberId, rule, row }],
+// periods: [{ memberId, period, row }] }, where a null row did not exist.
+// `rule` and `period` are the added or deleted one (see formatRule and
+// formatPeriod).
+const UNDO_WINDOW = 30000; // 30 seconds
+const undoEntries = new Map();
+
+function getUndoClientKey(request) {
+  if (request.sessionToken) return `session:${request.sessionToken}`;
+  if (request.isAdmin) return `admin:${request.ip}`;
+  return null;
+}
+
+// Replace the client's undo entry and return its id for the response
+function rememberUndo(request, snapshot) {
+  const key = getUndoClientKey(request);
+  if (!key) return null;
+  
+  const now = Date.now();
+  for (const [otherKey, entry] of undoEntries) {
+    if (entry.expiresAt <= now) undoEntries.delete(otherKey);
   }
   
-  const trimmedName = name.trim();
-  if (trimmedName.length === 0) {
-    return reply.status(400).send({ error: 'Name cannot be empty' });
+  const id = crypto.randomBytes(8).toString('hex');
+  undoEntries.set(key, { id, teamId: request.team.id, expiresAt: now + UNDO_WINDOW, snapshot });
+  return id;
+}
+
+// Drop every undo entry that would write a member's rows back, once the member
+// has been purged or restored by other means
+function forgetUndoForMember(memberId) {
+  for (const [key, entry] of undoEntries) {
+    const { member, ...rows } = entry.snapshot;
+    const references = (member && member.id === memberId) ||
+      Object.values(rows).some(list => list.some(item => item.memberId === memberId));
+    if (references) undoEntries.delete(key);
+  }
+}
+
+// A member_rules row in the shape the rules API returns
+function formatRule(row) {
+  return {
+    id: row.id, memberId: row.member_id, kind: row.kind, status: row.status, 
+    startDate: row.start_date, endDate: row.end_date, intervalWeeks: row.interval_weeks, 
+    weekOfMonth: row.week_of_month, dayOfWeek: row.day_of_week
+  };
+}
+
+// A member_periods row in the shape the periods API returns
+function formatPeriod(row) {
+  return {
+    id: row.id, memberId: row.member_id, startDate: row.start_date, endDate: row.end_date, 
+    status: row.status, reason: row.reason
+  };
+}
+
+function insertRow(table, row) {
+  const columns = Object.keys(row);
+  return dbRun(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`, 
+    columns.map(column => row[column]));
+}
+
+// Write a snapshot back (inside a transaction) and return the status changes
+// for the audit log. Rows of members archived since then are skipped.
+async function restoreSnapshot(teamId, snapshot) {
+  const changes = [];
+  if (snapshot.member) {
+    await dbRun("DELETE FROM members WHERE id = ?", [snapshot.member.id]);
+    await insertRow('members', snapshot.member);
   }
   
-  if (trimmedName.length > 50) {
-    return reply.status(400).send({ error: 'Name cannot exceed 50 characters' });
+  for (const { memberId, date, row } of snapshot.attendance || []) {
+    if (!(await getTeamMember(teamId, memberId))) continue;
+    const current = await dbGet("SELECT status, comment FROM attendance WHERE member_id = ? AND date = ?", [memberId, date]);
+    await dbRun("DELETE FROM attendance WHERE member_id = ? AND date = ?", [memberId, date]);
+    if (row) await insertRow('attendance', row);
+    const oldComment = current ? current.comment : null;
+    const newComment = row ? row.comment : null;
+    changes.push({
+      memberId, date, oldStatus: current ? current.status : null, newStatus: row ? row.status : null,
+      detail: oldComment !== newComment ? { oldComment, newComment } : undefined
+    });
   }
   
-  // Sanitize name (remove dangerous characters)
-  const sanitizedName = trimmedName.replace(/[<>"'&]/g, '');
+  for (const { memberId, dayOfWeek, row } of snapshot.defaults || []) {
+    if (!(await getTeamMember(teamId, memberId))) continue;
+    const current = await dbGet("SELECT default_status FROM member_defaults WHERE member_id = ? AND day_of_week = ?", [memberId, dayOfWeek]);
+    await dbRun("DELETE FROM member_defaults WHERE member_id = ? AND day_of_week = ?", [memberId, dayOfWeek]);
+    if (row) await insertRow('member_defaults', row);
+    changes.push({ memberId, dayOfWeek, oldStatus: current ? current.default_status : null, newStatus: row ? row.default_status : null });
+  }
   
-  return new Promise((resolve, reject) => {
-    db.run("INSERT INTO members (name) VALUES (?)", [sanitizedName], function(err) {
-      if (err) {
-        if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-          reply.status(409).send({ error: 'Member name already exists' });
-        } else {
-          reply.status(500).send({ error: 'Database error' });
-        }
-        reject(err);
+  for (const { memberId, rule, row } of snapshot.rules || []) {
+    if (!(await getTeamMember(teamId, memberId))) continue;
+    const current = await dbGet("SELECT status FROM member_rules WHERE id = ?", [rule.id]);
+    await dbRun("DELETE FROM member_rules WHERE id = ?", [rule.id]);
+    if (row) await insertRow('member_rules', row);
+    changes.push({ memberId, dayOfWeek: rule.dayOfWeek, oldStatus: current ? current.status : null, newStatus: row ? row.status : null, detail: { rule } });
+  }
+  
+  for (const { memberId, period, row } of snapshot.periods || []) {
+    if (!(await getTeamMember(teamId, memberId))) continue;
+    const current = await dbGet("SELECT status FROM member_periods WHERE id = ?", [period.id]);
+    await dbRun("DELETE FROM member_periods WHERE id = ?", [period.id]);
+    if (row) await insertRow('member_periods', row);
+    changes.push({ memberId, oldStatus: current ? current.status : null, newStatus: row ? row.status : null, detail: { period } });
+  }
+  
+  return changes;
+}
+
+// Resolve a day name from the week view to its date. Returns { date }, or
+// { statusCode, error } for unknown days and closed days.
+async function resolveWeekDate(teamId, dayName) {
+  if (!DAY_NAMES.includes(dayName)) {
+    return { statusCode: 400, error: 'Invalid day name' };
+  }
+  
+  const { workingDays, timeZone } = await getTeamSettings(teamId);
+  const target = calculateWeekDates(workingDays, timeZone).find(date => date.dayName === dayName);
+  if (!target) {
+    return { statusCode: 400, error: `${dayName} is not a working day` };
+  }
+  
+  const closedDays = await getClosedDays(teamId, target.dateString, target.dateString);
+  if (closedDays.has(target.dateString)) {
+    return { statusCode: 409, error: `${target.dateString} is a closed day (${closedDays.get(target.dateString).name})` };
+  }
+  
+  return { date: target.dateString };
+}
+
+// Today's YYYY-MM-DD in the team's time zone
+async function getTeamToday(teamId) {
+  const { timeZone } = await getTeamSettings(teamId);
+  return getZonedDateString(new Date(), timeZone);
+}
+
+// Today's card in the team's time zone, resolved like resolveWeekDate()
+async function resolveToday(teamId) {
+  const { timeZone } = await getTeamSettings(teamId);
+  const today = parseDateString(getZonedDateString(new Date(), timeZone));
+  return resolveWeekDate(teamId, DAY_NAMES[today.getUTCDay()]);
+}
+
+// Aggregate per-member statistics over a list of days from buildAttendanceDays().
+// Closed days are skipped. Counts use the applied status (explicit answer, else
+// weekday default): `statuses` per status, `present` for all attending statuses.
+// `hours` sums the checked-in time.
+// `deviations` counts explicit answers that differ from a set default (rule or weekday).
+function summarizeAttendance(members, days) {
+  const stats = new Map(members.map(member => [member.id, {
+    id: member.id,
+    name: member.name,
+    archived: Boolean(member.archivedOn),
+    days: 0,
+    present: 0,
+    statuses: Object.fromEntries(STATUS_KEYS.map(key => [key, 0])),
+    unanswered: 0,
+    answered: 0,
+    deviations: 0,
+    hours: 0
+  }]));
+  
+  for (const day of days) {
+    if (day.closed) continue;
+    
+    for (const member of day.members) {
+      const stat = stats.get(member.id);
+      stat.days++;
+      
+      if (member.status === null) {
+        stat.unanswered++;
       } else {
-        const memberId = this.lastID;
-        
-        // Add default settings for all weekdays (null = 未回答デフォルト)
-        const defaultStmt = db.prepare("INSERT INTO member_defaults (member_id, day_of_week, default_status) VALUES (?, ?, ?)");
-        for (let day = 1; day <= 5; day++) {
-          defaultStmt.run(memberId, day, null);
+        stat.statuses[member.status]++;
+        if (isPresentStatus(member.status)) stat.present++;
+      }
+      
+      stat.hours += member.hours || 0;
+      
+      if (member.originalStatus !== null) {
+        stat.answered++;
+        if (member.defaultStatus !== null && member.originalStatus !== member.defaultStatus) {
+          stat.deviations++;
         }
-        defaultStmt.finalize();
-        
-        // Invalidate cache and broadcast update
-        invalidateWeekDataCache();
-        getWeekData().then(data => {
-          broadcast({
-            type: 'weekly_update',
-            data: data
-          });
-        }).catch(err => {
-          console.error('Error broadcasting update:', err);
-        });
-        
-        resolve({ id: this.lastID, name: sanitizedName });
       }
-    });
-  });
-});
+    }
+  }
+  
+  return Array.from(stats.values()).map(stat => ({
+    ...stat,
+    hours: Math.round(stat.hours * 100) / 100,
+    attendanceRate: stat.days > 0 ? stat.present / stat.days : null
+  }));
+}
 
-fastify.delete('/api/members/:id', async (request, reply) => {
-  const { id } = request.params;
+// Split days into report periods: one per ISO week (Monday start), per month, or a single one
+function groupDaysByPeriod(days, groupBy) {
+  const periods = new Map();
   
-  // Input validation
-  const memberId = parseInt(id, 10);
-  if (isNaN(memberId) || memberId <= 0) {
-    return reply.status(400).send({ error: 'Invalid member ID' });
+  for (const day of days) {
+    let key;
+    if (groupBy === 'week') {
+      const date = new Date(`${day.date}T00:00:00Z`);
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      key = date.toISOString().split('T')[0];
+    } else if (groupBy === 'month') {
+      key = day.date.slice(0, 7);
+    } else {
+      key = 'all';
+    }
+    
+    if (!periods.has(key)) {
+      periods.set(key, []);
+    }
+    periods.get(key).push(day);
   }
   
-  return new Promise((resolve, reject) => {
-    // Delete attendance records first (foreign key constraint)
-    db.run("DELETE FROM attendance WHERE member_id = ?", [memberId], (err) => {
-      if (err) {
-        console.error('Error deleting attendance records:', err);
-        reply.status(500).send({ error: 'Database error' });
-        reject(err);
-        return;
-      }
-      
-      // Then delete the member
-      db.run("DELETE FROM members WHERE id = ?", [memberId], function(err) {
-        if (err) {
-          console.error('Error deleting member:', err);
-          reply.status(500).send({ error: 'Database error' });
-          reject(err);
-        } else {
-          if (this.changes === 0) {
-            reply.status(404).send({ error: 'Member not found' });
-            resolve({ success: false });
-            return;
-          }
-          
-          // Invalidate cache and broadcast update
-          invalidateWeekDataCache();
-          getWeekData().then(data => {
-            broadcast({
-              type: 'weekly_update',
-              data: data
-            });
-          }).catch(err => {
-            console.error('Error broadcasting update:', err);
-          });
-          
-          resolve({ success: true, deletedRows: this.changes });
-        }
+  return Array.from(periods.entries()).map(([key, periodDays]) => ({
+    key,
+    from: periodDays[0].date,
+    to: periodDays[periodDays.length - 1].date,
+    days: periodDays
+  }));
+}
+
+// Helper function to list the working days between two YYYY-MM-DD dates (inclusive)
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 366;
+const COMMENT_MAX_LENGTH = 100;
+const AUDIT_PAGE_MAX = 500;
+
+function parseDateString(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date.getTime()) || date.toISOString().split('T')[0] !== value) return null;
+  return date;
+}
+
+function calculateRangeDates(fromDate, toDate, workingDays) {
+  const dates = [];
+  const currentDate = new Date(fromDate);
+  
+  while (currentDate <= toDate) {
+    const dayOfWeek = currentDate.getUTCDay();
+    
+    if (workingDays.includes(dayOfWeek)) {
+      dates.push({
+        dayName: DAY_NAMES[dayOfWeek],
+        dateString: currentDate.toISOString().split('T')[0]
       });
-    });
-  });
-});
+    }
+    
+    currentDate.setUTCDate(currentDate.getUTCDate() + 1);
+  }
+  
+  return dates;
+}
 
-fastify.post('/api/attendance/reset', async (request, reply) => {
-  const today = new Date().toISOString().split('T')[0];
+// Closed days between two YYYY-MM-DD dates, as a Map of date -> { type, name }.
+// A team closure wins over a public holiday on the same date.
+async function getClosedDays(teamId, fromDate, toDate) {
+  const { publicHolidays } = await getTeamSettings(teamId);
+  const rows = await dbAll(`
+    SELECT team_id, date, name FROM holidays 
+    WHERE (team_id = ? OR (team_id IS NULL AND ?)) AND date BETWEEN ? AND ?
+    ORDER BY team_id IS NOT NULL, date
+  `, [teamId, publicHolidays ? 1 : 0, fromDate, toDate]);
   
-  return new Promise((resolve, reject) => {
-    db.run("DELETE FROM attendance WHERE date = ?", [today], function(err) {
-      if (err) {
-        reject(err);
-      } else {
-        console.log(`Reset attendance for ${today}, deleted ${this.changes} records`);
-        
-        // Invalidate cache and broadcast weekly update to all clients
-        invalidateWeekDataCache();
-        getWeekData().then(data => {
-          broadcast({
-            type: 'weekly_update',
-            data: data
-          });
-        });
-        
-        resolve({ success: true, deletedRecords: this.changes, date: today });
+  const closedDays = new Map();
+  for (const row of rows) {
+    closedDays.set(row.date, { type: row.team_id === null ? 'holiday' : 'closure', name: row.name });
+  }
+  return closedDays;
+}
+
+// Build and send week updates one at a time per team, so sequence numbers go
+// out in the order the data was read. Each update rebuilds the week, caches
+// it and broadcasts buildMessage(weekData) with the next sequence number.
+const weekUpdateQueues = new Map();
+
+function queueWeekUpdate(teamId, buildMessage) {
+  const previous = weekUpdateQueues.get(teamId) || Promise.resolve();
+  const run = previous.then(async () => {
+    const seq = getWeekSequence(teamId) + 1;
+    const weekData = await buildWeekData(teamId, seq);
+    
+    weekSequences.set(teamId, seq);
+    weekDataCache.set(teamId, { data: weekData, timestamp: Date.now() });
+    broadcast(teamId, { ...buildMessage(weekData), seq });
+  });
+  weekUpdateQueues.set(teamId, run.catch(() => {}));
+  return run;
+}
+
+// Push the whole week to every client of a team. For changes to the member
+// list, settings, closures, resets and undo.
+function broadcastWeekUpdate(teamId) {
+  return queueWeekUpdate(teamId, weekData => ({
+    type: 'weekly_update',
+    data: weekData
+  }));
+}
+
+// Push only one member's entries: on the given dates, or every day of the
+// week when their defaults, periods or rules changed. `days` maps each day
+// name to { date, totalHours, member } for the client to patch that card.
+function broadcastMemberUpdate(teamId, memberId, dates = null) {
+  return queueWeekUpdate(teamId, weekData => {
+    const days = {};
+    for (const dayName of weekData.dayOrder) {
+      const day = weekData.weekData[dayName];
+      if (dates && !dates.includes(day.date)) continue;
+      
+      const member = day.members.find(m => m.id === memberId);
+      if (member) {
+        days[dayName] = { date: day.date, totalHours: day.totalHours, member };
       }
-    });
+    }
+    return { type: 'member_update', memberId, days };
   });
-});
+}
+
+// Team settings. Each key has a default and a validator that returns
+// { value } with the normalized value, or { error }.
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+function validateTime(value) {
+  return typeof value === 'string' && TIME_PATTERN.test(value) 
+    ? { value }
+    : { error: 'must be a time in HH:MM format' };
+}
+
+const MAX_REMINDER_TIMES = 5;
 
-// Auto-reset function (Japan Standard Time)
-function scheduleAutoReset() {
-  // Get current Japan time
-  const now = new Date();
-  const japanNow = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Tokyo"}));
+function validateReminderTimes(value) {
+  if (!Array.isArray(value) || value.length > MAX_REMINDER_TIMES || !value.every(time => validateTime(time).value)) {
+    return { error: `must be an array of at most ${MAX_REMINDER_TIMES} times in HH:MM format` };
+  }
+  return { value: [...new Set(value)].sort() };
+}
+
+// The URL is stored as parsed (url.href), so characters such as quotes and
+// angle brackets come back percent-encoded and are safe to render
+function validateWebhookUrl(value) {
+  if (value === '') return { value };
+  try {
+    const url = new URL(value);
+    if (url.protocol === 'http:' || url.protocol === 'https:') {
+      return { value: url.href };
+    }
+  } catch (error) {
+    // fall through
+  }
+  return { error: 'must be an http(s) URL or empty' };
+}
+
+const MAX_SUMMARY_RECIPIENTS = 20;
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+function validateRecipients(value) {
+  if (!Array.isArray(value) || value.length > MAX_SUMMARY_RECIPIENTS || 
+      !value.every(address => typeof address === 'string' && EMAIL_PATTERN.test(address))) {
+    return { error: `must be an array of at most ${MAX_SUMMARY_RECIPIENTS} email addresses` };
+  }
+  return { value: [...new Set(value)] };
+}
+
+function validateWorkingDays(value) {
+  const result = validateWeekdays(value);
+  if (!result.error && result.value.length === 0) {
+    return { error: 'must contain at least one day' };
+  }
+  return result;
+}
+
+function validateWeekdays(value) {
+  if (!Array.isArray(value) || !value.every(day => WEEKDAYS.includes(day))) {
+    return { error: 'must be an array of weekdays (0 = Sunday ... 6 = Saturday)' };
+  }
+  return { value: [...new Set(value)].sort((a, b) => a - b) };
+}
+
+const SETTINGS = {
+  timeZone: {
+    default: 'Asia/Tokyo',
+    validate: value => typeof value === 'string' && isValidTimeZone(value) 
+      ? { value }
+      : { error: 'must be an IANA time zone name' }
+  },
+  autoResetEnabled: {
+    default: true,
+    validate: value => typeof value === 'boolean' ? { value } : { error: 'must be a boolean' }
+  },
+  autoResetTime: {
+    default: '13:00',
+    validate: validateTime
+  },
+  autoResetDays: {
+    default: WEEKDAYS,
+    validate: validateWeekdays
+  },
+  workingDays: {
+    default: [1, 2, 3, 4, 5],
+    validate: validateWorkingDays
+  },
+  publicHolidays: {
+    default: true,
+    validate: value => typeof value === 'boolean' ? { value } : { error: 'must be a boolean' }
+  },
+  answerDeadlineEnabled: {
+    default: false,
+    validate: value => typeof value === 'boolean' ? { value } : { error: 'must be a boolean' }
+  },
+  answerDeadline: {
+    default: '10:00',
+    validate: validateTime
+  },
+  reminderEnabled: {
+    default: false,
+    validate: value => typeof value === 'boolean' ? { value } : { error: 'must be a boolean' }
+  },
+  reminderWebhookUrl: {
+    default: '',
+    validate: validateWebhookUrl
+  },
+  reminderTimes: {
+    default: ['09:30'],
+    validate: validateReminderTimes
+  },
+  summaryEmailEnabled: {
+    default: false,
+    validate: value => typeof value === 'boolean' ? { value } : { error: 'must be a boolean' }
+  },
+  summaryEmailTime: {
+    default: '10:30',
+    validate: validateTime
+  },
+  summaryEmailRecipients: {
+    default: [],
+    validate: validateRecipients
+  }
+};
+
+async function getTeamSettings(teamId) {
+  const settings = {};
+  for (const [key, definition] of Object.entries(SETTINGS)) {
+    settings[key] = definition.default;
+  }
+  
+  const rows = await dbAll("SELECT key, value FROM team_settings WHERE team_id = ?", [teamId]);
+  for (const row of rows) {
+    if (SETTINGS[row.key]) {
+      settings[row.key] = JSON.parse(row.value);
+    }
+  }
+  
+  return settings;
+}
+
+// Validate and store a partial settings update. Returns { settings } or { error }.
+async function updateTeamSettings(teamId, changes) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(changes)) {
+    if (!SETTINGS[key]) {
+      return { error: `Unknown setting: ${key}` };
+    }
+    const result = SETTINGS[key].validate(value);
+    if (result.error) {
+      return { error: `${key} ${result.error}` };
+    }
+    normalized[key] = result.value;
+  }
   
-  // Set next reset time to 13:00 JST
-  const nextReset = new Date(japanNow);
-  nextReset.setHours(13, 0, 0, 0);
+  await withTransaction(async () => {
+    for (const [key, value] of Object.entries(normalized)) {
+      await dbRun(`INSERT OR REPLACE INTO team_settings (team_id, key, value, updated_at) 
+                   VALUES (?, ?, ?, CURRENT_TIMESTAMP)`, [teamId, key, JSON.stringify(value)]);
+    }
+  });
   
-  // If 13:00 has already passed today, schedule for tomorrow
-  if (japanNow >= nextReset) {
-    nextReset.setDate(nextReset.getDate() + 1);
+  return { settings: await getTeamSettings(teamId) };
+}
+
+// When answers for a date close (answerDeadline on that date in the team's
+// time zone), or null when the team has no deadline
+function getAnswerDeadline(settings, dateString) {
+  if (!settings.answerDeadlineEnabled) return null;
+  return getZonedDateTime(dateString, settings.answerDeadline, settings.timeZone);
+}
+
+// Past the deadline only admins can change a day's answers
+async function isAnswerLocked(request, dateString) {
+  if (request.isAdmin) return false;
+  const deadline = getAnswerDeadline(await getTeamSettings(request.team.id), dateString);
+  return deadline !== null && Date.now() >= deadline.getTime();
+}
+
+// Defaults, periods and rules change the applied status of every card they
+// cover, so they are locked too while one of those cards is. `covers` is
+// called with each { dayName, dateString } of the current week.
+async function isWeekChangeLocked(request, covers) {
+  const { workingDays, timeZone } = await getTeamSettings(request.team.id);
+  for (const date of calculateWeekDates(workingDays, timeZone)) {
+    if (covers(date) && await isAnswerLocked(request, date.dateString)) {
+      return true;
+    }
   }
+  return false;
+}
+
+// Clear today's answers for every member of a team and log each cleared
+// answer. Uses the same date as today's card in calculateWeekDates().
+async function resetTeamAttendance(teamId, source, actor) {
+  const { timeZone } = await getTeamSettings(teamId);
+  const today = getZonedDateString(new Date(), timeZone);
+  const where = 'date = ? AND member_id IN (SELECT id FROM members WHERE team_id = ?)';
+  
+  return withTransaction(async () => {
+    const previousRows = await dbAll(`SELECT * FROM attendance WHERE ${where}`, [today, teamId]);
+    const deletedRecords = await clearAttendanceAnswers(where, [today, teamId]);
+    await recordAudit(teamId, actor, source, previousRows.map(row => ({
+      memberId: row.member_id,
+      date: today,
+      oldStatus: row.status,
+      newStatus: null
+    })));
+    emitWebhookEvent(teamId, 'day.reset', { date: today, clearedRecords: deletedRecords, source, actor: actor.name });
+    return { date: today, deletedRecords, previousRows };
+  });
+}
+
+// Auto-reset timers, one per team. Rescheduled whenever settings change.
+const autoResetTimers = new Map();
+
+async function getNextAutoReset(teamId) {
+  const settings = await getTeamSettings(teamId);
+  const nextReset = settings.autoResetEnabled 
+    ? getNextScheduledTime(settings.autoResetTime, settings.timeZone, settings.autoResetDays)
+    : null;
+  return { settings, nextReset };
+}
+
+async function scheduleAutoReset(team) {
+  clearTimeout(autoResetTimers.get(team.id));
+  autoResetTimers.delete(team.id);
   
-  // Convert back to local system time for setTimeout
-  const systemNextReset = new Date(nextReset.toLocaleString("en-US", {timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone}));
-  const timeUntilReset = systemNextReset.getTime() - now.getTime();
+  const { settings, nextReset } = await getNextAutoReset(team.id);
+  if (!nextReset) {
+    console.log(`Auto-reset disabled for team ${team.slug}`);
+    return;
+  }
   
-  console.log(`Next auto-reset scheduled for: ${nextReset.toLocaleString('ja-JP', {timeZone: 'Asia/Tokyo'})} JST`);
+  const timeUntilReset = nextReset.getTime() - Date.now();
+  console.log(`Next auto-reset for team ${team.slug}: ${nextReset.toLocaleString('ja-JP', {timeZone: settings.timeZone})} (${settings.timeZone})`);
   console.log(`Time until reset: ${Math.floor(timeUntilReset / 1000 / 60 / 60)}h ${Math.floor((timeUntilReset / 1000 / 60) % 60)}m`);
   
-  setTimeout(async () => {
-    console.log('Executing automatic reset at 13:00 JST');
+  autoResetTimers.set(team.id, setTimeout(async () => {
+    console.log(`Executing automatic reset for team ${team.slug} at ${settings.autoResetTime} ${settings.timeZone}`);
     
-    const today = new Date().toISOString().split('T')[0];
-    db.run("DELETE FROM attendance WHERE date = ?", [today], function(err) {
-      if (err) {
-        console.error('Auto-reset failed:', err);
-      } else {
-        console.log(`Auto-reset completed: deleted ${this.changes} records for ${today}`);
-        
-        // Invalidate cache and broadcast weekly update to all clients
-        invalidateWeekDataCache();
-        getWeekData().then(data => {
-          broadcast({
-            type: 'weekly_update',
-            data: data
-          });
-          broadcast({
-            type: 'auto_reset',
-            message: '13時になりました。出席状況がリセットされました。'
-          });
-        }).catch(err => {
-          console.error('Error broadcasting auto-reset update:', err);
-        });
-      }
-    });
+    try {
+      const { date, deletedRecords } = await resetTeamAttendance(team.id, 'auto_reset', SYSTEM_ACTOR);
+      console.log(`Auto-reset completed: deleted ${deletedRecords} records for ${date}`);
+      
+      // Invalidate cache and broadcast weekly update to the team's clients
+      await broadcastWeekUpdate(team.id);
+      broadcast(team.id, {
+        type: 'auto_reset',
+        message: `${settings.autoResetTime}になりました。出席状況がリセットされました。`
+      });
+    } catch (error) {
+      console.error('Auto-reset failed:', error);
+    }
     
     // Schedule next reset
-    scheduleAutoReset();
-  }, timeUntilReset);
+    scheduleAutoReset(team).catch(err => {
+      console.error('Error scheduling auto-reset:', err);
+    });
+  }, timeUntilReset));
+}
+
+async function scheduleAllAutoResets() {
+  const teams = await dbAll("SELECT id, slug, name FROM teams");
+  for (const team of teams) {
+    await scheduleAutoReset(team);
+  }
+}
+
+// Unanswered reminders, one timer per team. Posted on working days at each of
+// reminderTimes to a Slack-compatible incoming webhook ({ text }).
+const reminderTimers = new Map();
+
+async function getNextReminder(teamId) {
+  const settings = await getTeamSettings(teamId);
+  if (!settings.reminderEnabled || !settings.reminderWebhookUrl) {
+    return { settings, nextReminder: null };
+  }
+  
+  const candidates = settings.reminderTimes
+    .map(time => getNextScheduledTime(time, settings.timeZone, settings.workingDays))
+    .filter(Boolean);
+  const nextReminder = candidates.length > 0 ? new Date(Math.min(...candidates)) : null;
+  return { settings, nextReminder };
+}
+
+// Today's card (see buildAttendanceDays) as { dayName, day }, or { error } on
+// days off and closed days
+async function getTodayAttendance(teamId) {
+  const target = await resolveToday(teamId);
+  if (target.error) {
+    return { error: target.error };
+  }
+  
+  const dayName = DAY_NAMES[parseDateString(target.date).getUTCDay()];
+  const { days } = await buildAttendanceDays(teamId, [{ dayName, dateString: target.date }]);
+  return { dayName, day: days[0] };
 }
 
-// API endpoint to get next reset time (Japan Standard Time)
-fastify.get('/api/next-reset', async (request, reply) => {
-  // Get current Japan time
-  const now = new Date();
-  const japanNow = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Tokyo"}));
+// Members who have not answered today (no answer, period, rule or default).
+// Returns { date, names }, or { error } on days off and closed days.
+async function getUnansweredToday(teamId) {
+  const today = await getTodayAttendance(teamId);
+  if (today.error) {
+    return today;
+  }
   
-  // Set next reset time to 13:00 JST
-  const nextReset = new Date(japanNow);
-  nextReset.setHours(13, 0, 0, 0);
+  const names = today.day.members.filter(member => member.status === null).map(member => member.name);
+  return { date: today.day.date, names };
+}
+
+function formatReminderText(date, names) {
+  if (names.length === 0) {
+    return `📋 ${date} は全員回答済みです。`;
+  }
+  return [`📋 ${date} の未回答: ${names.length}人`, ...names.map(name => `・${name}`)].join('\n');
+}
+
+function postReminder(url, { date, names }) {
+  return postJson(url, { text: formatReminderText(date, names) });
+}
+
+async function scheduleReminders(team) {
+  clearTimeout(reminderTimers.get(team.id));
+  reminderTimers.delete(team.id);
   
-  // If 13:00 has already passed today, schedule for tomorrow
-  if (japanNow >= nextReset) {
-    nextReset.setDate(nextReset.getDate() + 1);
+  const { settings, nextReminder } = await getNextReminder(team.id);
+  if (!nextReminder) {
+    return;
   }
   
-  // Convert back to system time for client
-  const systemNextReset = new Date(nextReset.toLocaleString("en-US", {timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone}));
+  console.log(`Next reminder for team ${team.slug}: ${nextReminder.toLocaleString('ja-JP', {timeZone: settings.timeZone})} (${settings.timeZone})`);
   
-  return {
-    nextReset: systemNextReset.toISOString(),
-    nextResetJST: nextReset.toLocaleString('ja-JP', {timeZone: 'Asia/Tokyo'}),
-    timeUntilReset: systemNextReset.getTime() - now.getTime()
-  };
-});
+  reminderTimers.set(team.id, setTimeout(async () => {
+    try {
+      // Nothing to post when everyone has answered
+      const unanswered = await getUnansweredToday(team.id);
+      if (!unanswered.error && unanswered.names.length > 0) {
+        const delivery = await postReminder(settings.reminderWebhookUrl, unanswered);
+        if (!delivery.ok) {
+          console.error(`Reminder for team ${team.slug} failed after ${delivery.attempts} attempts: ${delivery.error}`);
+        }
+      }
+    } catch (error) {
+      console.error('Reminder failed:', error);
+    }
+    
+    scheduleReminders(team).catch(err => {
+      console.error('Error scheduling reminder:', err);
+    });
+  }, nextReminder.getTime() - Date.now()));
+}
+
+async function scheduleAllReminders() {
+  const teams = await dbAll("SELECT id, slug, name FROM teams");
+  for (const team of teams) {
+    await scheduleReminders(team);
+  }
+}
+
+// Daily summary email, one timer per team, sent on working days at
+// summaryEmailTime. The SMTP server comes from the environment.
+const SMTP_HOST = process.env.SMTP_HOST || null;
+const SMTP_FROM = process.env.SMTP_FROM || 'AttendCard <attendcard@localhost>';
+const summaryTimers = new Map();
+let mailTransport = null;
+
+function getMailTransport() {
+  if (!SMTP_HOST) return null;
+  if (!mailTransport) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    mailTransport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return mailTransport;
+}
+
+// Build and send today's summary. Returns { date, recipients, messageId },
+// or { error } when there is nothing to send or no SMTP server.
+async function sendDailySummary(team, recipients) {
+  const transport = getMailTransport();
+  if (!transport) {
+    return { error: 'SMTP is not configured (set SMTP_HOST)' };
+  }
+  if (recipients.length === 0) {
+    return { error: 'summaryEmailRecipients is empty' };
+  }
+  
+  const today = await getTodayAttendance(team.id);
+  if (today.error) {
+    return today;
+  }
+  
+  const { subject, text, html } = buildDailySummary(team.name, today.dayName, today.day);
+  const info = await transport.sendMail({ from: SMTP_FROM, to: recipients, subject, text, html });
+  return { date: today.day.date, recipients, messageId: info.messageId };
+}
+
+async function scheduleDailySummary(team) {
+  clearTimeout(summaryTimers.get(team.id));
+  summaryTimers.delete(team.id);
+  
+  const settings = await getTeamSettings(team.id);
+  if (!settings.summaryEmailEnabled || settings.summaryEmailRecipients.length === 0) {
+    return;
+  }
+  
+  const nextSummary = getNextScheduledTime(settings.summaryEmailTime, settings.timeZone, settings.workingDays);
+  if (!nextSummary) {
+    return;
+  }
+  console.log(`Next summary email for team ${team.slug}: ${nextSummary.toLocaleString('ja-JP', {timeZone: settings.timeZone})} (${settings.timeZone})`);
+  
+  summaryTimers.set(team.id, setTimeout(async () => {
+    try {
+      const result = await sendDailySummary(team, settings.summaryEmailRecipients);
+      if (result.error) {
+        console.log(`Summary email for team ${team.slug} skipped: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Summary email failed:', error);
+    }
+    
+    scheduleDailySummary(team).catch(err => {
+      console.error('Error scheduling summary email:', err);
+    });
+  }, nextSummary.getTime() - Date.now()));
+}
+
+async function scheduleAllDailySummaries() {
+  const teams = await dbAll("SELECT id, slug, name FROM teams");
+  for (const team of teams) {
+    await scheduleDailySummary(team);
+  }
+}
+
+// Team-scoped routes. Registered once at the root for the default team and
+// once under /t/:team for every other team.
+async function teamRoutes(fastify) {
+  // Resolve the team for every route in this scope
+  fastify.addHook('preHandler', async (request, reply) => {
+    const team = await getTeamBySlug(request.params.team || DEFAULT_TEAM_SLUG);
+    if (!team) {
+      return reply.status(404).send({ error: 'Team not found' });
+    }
+    request.team = team;
+    
+    // A session only counts inside the team its member belongs to
+    if (request.member && request.member.teamId !== team.id) {
+      request.member = null;
+    }
+    if (request.member && request.member.role === 'admin') {
+      request.isAdmin = true;
+    }
+  });
+
+  // WebSocket endpoint
+  fastify.register(async function (fastify) {
+    fastify.get('/ws', { websocket: true }, (connection, req) => {
+      const teamId = req.team.id;
+      console.log(`New WebSocket connection established for team ${teamId}`);
+      
+      if (!connections.has(teamId)) {
+        connections.set(teamId, new Set());
+      }
+      connections.get(teamId).add(connection.socket);
+      
+      connection.socket.on('close', () => {
+        console.log('WebSocket connection closed');
+        connections.get(teamId).delete(connection.socket);
+      });
+      
+      connection.socket.on('error', (error) => {
+        console.log('WebSocket error:', error);
+        connections.get(teamId).delete(connection.socket);
+      });
+    });
+  });
+
+  // Current team
+  fastify.get('/api/team', async (request, reply) => {
+    return { slug: request.team.slug, name: request.team.name };
+  });
+
+  // Authentication
+  // Members log in with their own password. A member without a password yet
+  // sets one on their first login, which needs the setup code an admin issued
+  // for them (DELETE /api/members/:id/password).
+  fastify.post('/api/auth/login', async (request, reply) => {
+    const { memberId, password, setupCode } = request.body || {};
+    
+    if (!memberId || typeof password !== 'string') {
+      return reply.status(400).send({ error: 'memberId and password are required' });
+    }
+    
+    const member = await dbGet(`SELECT id, name, role, password_hash, setup_code_hash, 
+                                       setup_code_expires_at > datetime('now') AS setup_code_valid 
+                                FROM members WHERE id = ? AND team_id = ? AND archived_at IS NULL`, [memberId, request.team.id]);
+    if (!member) {
+      return reply.status(404).send({ error: 'Member not found' });
+    }
+    
+    let registered = false;
+    if (member.password_hash) {
+      const valid = await verifyPassword(password, member.password_hash);
+      if (!valid) {
+        return reply.status(401).send({ error: 'Invalid password' });
+      }
+    } else {
+      if (typeof setupCode !== 'string' || setupCode.trim() === '') {
+        return reply.status(400).send({ error: 'setupCode is required to set a password' });
+      }
+      const validCode = member.setup_code_hash && member.setup_code_valid &&
+        await verifyPassword(setupCode.trim().toUpperCase(), member.setup_code_hash);
+      if (!validCode) {
+        return reply.status(401).send({ error: 'Invalid or expired setup code' });
+      }
+      if (password.length < PASSWORD_MIN_LENGTH) {
+        return reply.status(400).send({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+      }
+      await dbRun(`UPDATE members SET password_hash = ?, setup_code_hash = NULL, setup_code_expires_at = NULL 
+                   WHERE id = ?`, [await hashPassword(password), member.id]);
+      registered = true;
+    }
+    
+    // Drop expired sessions while we are here
+    await dbRun("DELETE FROM sessions WHERE expires_at <= datetime('now')");
+    
+    const token = crypto.randomBytes(32).toString('hex');
+    await dbRun(`INSERT INTO sessions (token, member_id, expires_at) 
+                 VALUES (?, ?, datetime('now', ?))`, 
+      [token, member.id, `+${SESSION_MAX_AGE} seconds`]);
+    
+    setSessionCookie(request, reply, token, SESSION_MAX_AGE);
+    return { member: { id: member.id, teamId: request.team.id, name: member.name, role: member.role }, registered };
+  });
+
+  fastify.post('/api/auth/logout', async (request, reply) => {
+    if (request.sessionToken) {
+      await dbRun("DELETE FROM sessions WHERE token = ?", [request.sessionToken]);
+    }
+    setSessionCookie(request, reply, '', 0);
+    return { success: true };
+  });
+
+  fastify.get('/api/auth/me', async (request, reply) => {
+    return { member: request.member };
+  });
+
+  fastify.post('/api/auth/password', { preHandler: requireMember }, async (request, reply) => {
+    const { currentPassword, newPassword } = request.body || {};
+    
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+      return reply.status(400).send({ error: 'currentPassword and newPassword are required' });
+    }
+    
+    if (newPassword.length < PASSWORD_MIN_LENGTH) {
+      return reply.status(400).send({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+    
+    const { password_hash: stored } = await dbGet("SELECT password_hash FROM members WHERE id = ?", [request.member.id]);
+    if (!stored || !(await verifyPassword(currentPassword, stored))) {
+      return reply.status(401).send({ error: 'Invalid password' });
+    }
+    
+    await dbRun("UPDATE members SET password_hash = ? WHERE id = ?", [await hashPassword(newPassword), request.member.id]);
+    
+    // Sign out every other session of this member
+    await dbRun("DELETE FROM sessions WHERE member_id = ? AND token != ?", [request.member.id, request.sessionToken]);
+    
+    return { success: true };
+  });
+
+  // API Routes
+  // Get weekly attendance data (one card per working day starting from today)
+  fastify.get('/api/attendance/week', async (request, reply) => {
+    try {
+      const weekData = await getWeekData(request.team.id);
+      reply.send(weekData);
+    } catch (error) {
+      console.error('Error fetching week data:', error);
+      reply.status(500).send({ error: 'Failed to fetch week data' });
+    }
+  });
+
+  // Get attendance for an arbitrary date range (working days only), keyed by date
+  fastify.get('/api/attendance', async (request, reply) => {
+    const { from, to } = request.query;
+    
+    const fromDate = parseDateString(from);
+    const toDate = parseDateString(to);
+    if (!fromDate || !toDate) {
+      return reply.status(400).send({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    
+    if (fromDate > toDate) {
+      return reply.status(400).send({ error: 'from must not be after to' });
+    }
+    
+    if ((toDate - fromDate) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) {
+      return reply.status(400).send({ error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+    
+    try {
+      const { workingDays } = await getTeamSettings(request.team.id);
+      const { members, days } = await buildAttendanceDays(request.team.id, calculateRangeDates(fromDate, toDate, workingDays));
+      
+      const daysByDate = {};
+      for (const day of days) {
+        daysByDate[day.date] = day;
+      }
+      
+      return { from, to, members, days: daysByDate };
+    } catch (error) {
+      console.error('Error fetching attendance range:', error);
+      return reply.status(500).send({ error: 'Failed to fetch attendance' });
+    }
+  });
+
+  // Attendance report per member, optionally split into weekly or monthly periods.
+  // Days after today are left out so they do not count as unanswered.
+  fastify.get('/api/reports/attendance', async (request, reply) => {
+    const { from, to, groupBy = 'none' } = request.query;
+    
+    const fromDate = parseDateString(from);
+    let toDate = parseDateString(to);
+    if (!fromDate || !toDate) {
+      return reply.status(400).send({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    
+    if (!['none', 'week', 'month'].includes(groupBy)) {
+      return reply.status(400).send({ error: 'groupBy must be none, week or month' });
+    }
+    
+    const today = parseDateString(await getTeamToday(request.team.id));
+    if (toDate > today) {
+      toDate = today;
+    }
+    
+    if (fromDate > toDate) {
+      return reply.status(400).send({ error: 'from must not be after to (or today)' });
+    }
+    
+    if ((toDate - fromDate) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) {
+      return reply.status(400).send({ error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+    
+    try {
+      const { workingDays } = await getTeamSettings(request.team.id);
+      const { members, days } = await buildAttendanceDays(request.team.id, calculateRangeDates(fromDate, toDate, workingDays));
+      
+      const periods = groupDaysByPeriod(days, groupBy).map(period => ({
+        key: period.key,
+        from: period.from,
+        to: period.to,
+        members: summarizeAttendance(members, period.days)
+      }));
+      
+      return {
+        from,
+        to: toDate.toISOString().split('T')[0],
+        groupBy,
+        periods
+      };
+    } catch (error) {
+      console.error('Error building attendance report:', error);
+      return reply.status(500).send({ error: 'Failed to build report' });
+    }
+  });
+
+  // Export a member x date matrix as CSV. The UTF-8 BOM makes Excel detect the
+  // encoding so Japanese names are not garbled.
+  fastify.get('/api/attendance/export.csv', async (request, reply) => {
+    const { from, to } = request.query;
+    
+    const fromDate = parseDateString(from);
+    const toDate = parseDateString(to);
+    if (!fromDate || !toDate) {
+      return reply.status(400).send({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    
+    if (fromDate > toDate) {
+      return reply.status(400).send({ error: 'from must not be after to' });
+    }
+    
+    if ((toDate - fromDate) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) {
+      return reply.status(400).send({ error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+    
+    try {
+      const { workingDays } = await getTeamSettings(request.team.id);
+      const { members, days } = await buildAttendanceDays(request.team.id, calculateRangeDates(fromDate, toDate, workingDays));
+      
+      const header = ['名前', ...days.map(day => `${day.date}(${day.day})`)];
+      const rows = members.map(member => [
+        member.name,
+        ...days.map(day => {
+          const entry = day.members.find(dayMember => dayMember.id === member.id);
+          if (!entry) return '';
+          if (entry.originalStatus !== null) {
+            return entry.comment ? `${STATUS_LABELS[entry.originalStatus]}: ${entry.comment}` : STATUS_LABELS[entry.originalStatus];
+          }
+          if (day.closed) return `休業日(${day.closed.name})`;
+          if (entry.period) return `${STATUS_LABELS[entry.status]}(${entry.period.reason || '期間'})`;
+          if (entry.status !== null) return `${STATUS_LABELS[entry.status]}(デフォルト)`;
+          return '未回答';
+        })
+      ]);
+      
+      const csv = '\uFEFF' + formatCsv([header, ...rows]);
+      const filename = `attendance_${request.team.slug}_${from}_${to}.csv`;
+      reply
+        .type('text/csv; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="${filename}"`);
+      return csv;
+    } catch (error) {
+      console.error('Error exporting attendance:', error);
+      return reply.status(500).send({ error: 'Failed to export attendance' });
+    }
+  });
+
+  // Update weekly attendance status
+  fastify.post('/api/attendance/weekly', { preHandler: requireMember }, async (request, reply) => {
+    try {
+      const { dayName, memberId, status } = request.body;
+      
+      if (!dayName || !memberId) {
+        return reply.status(400).send({ error: 'dayName and memberId are required' });
+      }
+      
+      if (memberId !== request.member.id) {
+        return reply.status(403).send({ error: 'You can only change your own attendance' });
+      }
+      
+      if (status !== null && !isValidStatus(status)) {
+        return reply.status(400).send({ error: `status must be null or one of: ${STATUS_KEYS.join(', ')}` });
+      }
+      
+      // Convert day name to date - use the same dates as getWeekData()
+      const target = await resolveWeekDate(request.team.id, dayName);
+      if (target.error) {
+        return reply.status(target.statusCode).send({ error: target.error });
+      }
+      const dateString = target.date;
+      
+      if (await isAnswerLocked(request, dateString)) {
+        return reply.status(423).send({ error: 'The answer deadline for this day has passed' });
+      }
+      
+      // Read, write and log in one transaction so the audit entry and the
+      // undo snapshot describe the row this change replaced
+      const undoId = await withTransaction(async () => {
+        const previous = await dbGet("SELECT * FROM attendance WHERE member_id = ? AND date = ?", [memberId, dateString]);
+        
+        if (status === null) {
+          // Remove the answer (and its comment); check-in times are kept
+          await clearAttendanceAnswers('member_id = ? AND date = ?', [memberId, dateString]);
+        } else {
+          // Insert or update attendance record, keeping an existing comment
+          await dbRun(`INSERT INTO attendance (member_id, date, status) VALUES (?, ?, ?)
+                       ON CONFLICT(member_id, date) DO UPDATE SET status = excluded.status`, 
+            [memberId, dateString, status]);
+        }
+        
+        await recordAudit(request.team.id, getAuditActor(request), 'ui', [{
+          memberId,
+          date: dateString,
+          oldStatus: previous ? previous.status : null,
+          newStatus: status
+        }]);
+        return rememberUndo(request, { attendance: [{ memberId, date: dateString, row: previous || null }] });
+      });
+      
+      // Invalidate cache and broadcast update directly (faster than HTTP inject)
+      try {
+        await broadcastMemberUpdate(request.team.id, memberId, [dateString]);
+      } catch (error) {
+        console.error('Error broadcasting weekly update:', error);
+      }
+      
+      reply.send({ success: true, undoId });
+    } catch (error) {
+      console.error('Error updating weekly attendance:', error);
+      reply.status(500).send({ error: 'Failed to update attendance' });
+    }
+  });
+
+  // Set or clear the comment on an answer (e.g. 通院, 出張). Only days with an
+  // explicit answer can have a comment; clearing the answer removes it too.
+  fastify.post('/api/attendance/comment', { preHandler: requireMember }, async (request, reply) => {
+    const { dayName, memberId, comment } = request.body || {};
+    
+    if (!dayName || !memberId) {
+      return reply.status(400).send({ error: 'dayName and memberId are required' });
+    }
+    
+    if (memberId !== request.member.id) {
+      return reply.status(403).send({ error: 'You can only change your own attendance' });
+    }
+    
+    if (comment !== null && typeof comment !== 'string') {
+      return reply.status(400).send({ error: 'comment must be a string or null' });
+    }
+    
+    const trimmedComment = comment === null ? '' : comment.trim();
+    if (trimmedComment.length > COMMENT_MAX_LENGTH) {
+      return reply.status(400).send({ error: `comment cannot exceed ${COMMENT_MAX_LENGTH} characters` });
+    }
+    
+    const target = await resolveWeekDate(request.team.id, dayName);
+    if (target.error) {
+      return reply.status(target.statusCode).send({ error: target.error });
+    }
+    
+    if (await isAnswerLocked(request, target.date)) {
+      return reply.status(423).send({ error: 'The answer deadline for this day has passed' });
+    }
+    
+    const sanitizedComment = trimmedComment.replace(/[<>"'&]/g, '') || null;
+    const { changed, undoId } = await withTransaction(async () => {
+      const previous = await dbGet("SELECT * FROM attendance WHERE member_id = ? AND date = ?", [memberId, target.date]);
+      const result = await dbRun("UPDATE attendance SET comment = ? WHERE member_id = ? AND date = ?", 
+        [sanitizedComment, memberId, target.date]);
+      if (result.changes === 0) return { changed: false };
+      
+      if (previous.comment !== sanitizedComment) {
+        await recordAudit(request.team.id, getAuditActor(request), 'comment_change', [{
+          memberId, date: target.date, oldStatus: previous.status, newStatus: previous.status,
+          detail: { oldComment: previous.comment, newComment: sanitizedComment }
+        }]);
+      }
+      return { changed: true, undoId: rememberUndo(request, { attendance: [{ memberId, date: target.date, row: previous }] }) };
+    });
+    if (!changed) {
+      return reply.status(409).send({ error: 'Answer the day before adding a comment' });
+    }
+    
+    broadcastMemberUpdate(request.team.id, memberId, [target.date]).catch(err => {
+      console.error('Error broadcasting weekly update:', err);
+    });
+    
+    return { success: true, comment: sanitizedComment, undoId };
+  });
+
+  // Check in / check out for today (in the team's time zone) with the
+  // server's clock. Checking in without an answer records the day as 参加,
+  // unless answers are locked.
+  fastify.post('/api/attendance/check-in', { preHandler: requireMember }, async (request, reply) => {
+    const target = await resolveToday(request.team.id);
+    if (target.error) {
+      return reply.status(target.statusCode).send({ error: target.error });
+    }
+    
+    const now = new Date().toISOString();
+    const fillStatus = (await isAnswerLocked(request, target.date)) ? null : 'attend';
+    const { changed, undoId } = await withTransaction(async () => {
+      const previous = await dbGet("SELECT * FROM attendance WHERE member_id = ? AND date = ?", [request.member.id, target.date]);
+      const result = await dbRun(`INSERT INTO attendance (member_id, date, status, check_in_at) VALUES (?, ?, ?, ?)
+                                  ON CONFLICT(member_id, date) DO UPDATE 
+                                  SET check_in_at = excluded.check_in_at, status = COALESCE(status, excluded.status)
+                                  WHERE check_in_at IS NULL`, [request.member.id, target.date, fillStatus, now]);
+      if (result.changes === 0) return { changed: false };
+      
+      if (fillStatus && (!previous || previous.status === null)) {
+        await recordAudit(request.team.id, getAuditActor(request), 'check_in', [{
+          memberId: request.member.id,
+          date: target.date,
+          oldStatus: null,
+          newStatus: fillStatus
+        }]);
+      }
+      return { changed: true, undoId: rememberUndo(request, { attendance: [{ memberId: request.member.id, date: target.date, row: previous || null }] }) };
+    });
+    if (!changed) {
+      return reply.status(409).send({ error: 'Already checked in today' });
+    }
+    
+    broadcastMemberUpdate(request.team.id, request.member.id, [target.date]).catch(err => {
+      console.error('Error broadcasting weekly update:', err);
+    });
+    
+    return { date: target.date, checkInAt: now, undoId };
+  });
+
+  fastify.post('/api/attendance/check-out', { preHandler: requireMember }, async (request, reply) => {
+    const target = await resolveToday(request.team.id);
+    if (target.error) {
+      return reply.status(target.statusCode).send({ error: target.error });
+    }
+    
+    const now = new Date().toISOString();
+    const previous = await withTransaction(async () => {
+      const row = await dbGet("SELECT * FROM attendance WHERE member_id = ? AND date = ?", [request.member.id, target.date]);
+      const result = await dbRun(`UPDATE attendance SET check_out_at = ? 
+                                  WHERE member_id = ? AND date = ? AND check_in_at IS NOT NULL AND check_out_at IS NULL`, 
+        [now, request.member.id, target.date]);
+      return result.changes === 0 ? null : row;
+    });
+    if (!previous) {
+      return reply.status(409).send({ error: 'Not checked in or already checked out today' });
+    }
+    
+    const undoId = rememberUndo(request, { attendance: [{ memberId: request.member.id, date: target.date, row: previous }] });
+    
+    broadcastMemberUpdate(request.team.id, request.member.id, [target.date]).catch(err => {
+      console.error('Error broadcasting weekly update:', err);
+    });
+    
+    return { date: target.date, checkInAt: previous.check_in_at, checkOutAt: now, hours: calculateHours(previous.check_in_at, now), undoId };
+  });
+
+  // Update member default status for a specific day
+  fastify.post('/api/member-defaults', { preHandler: requireMember }, async (request, reply) => {
+    try {
+      const { memberId, dayName, status } = request.body;
+      
+      if (!memberId || !dayName) {
+        return reply.status(400).send({ error: 'memberId and dayName are required' });
+      }
+      
+      if (memberId !== request.member.id) {
+        return reply.status(403).send({ error: 'You can only change your own defaults' });
+      }
+      
+      // Convert day name to day index (0=日, 1=月, ... 6=土)
+      const dayIndex = DAY_NAMES.indexOf(dayName);
+      
+      if (dayIndex === -1) {
+        return reply.status(400).send({ error: 'Invalid day name' });
+      }
+      
+      if (status !== "remove" && status !== "pending" && !isValidStatus(status)) {
+        return reply.status(400).send({ error: `status must be remove, pending or one of: ${STATUS_KEYS.join(', ')}` });
+      }
+      
+      if (await isWeekChangeLocked(request, date => date.dayName === dayName)) {
+        return reply.status(423).send({ error: 'The answer deadline for this day has passed' });
+      }
+      
+      const undoId = await withTransaction(async () => {
+        const previous = await dbGet("SELECT * FROM member_defaults WHERE member_id = ? AND day_of_week = ?", [memberId, dayIndex]);
+      
+        if (status === "remove") {
+          // Remove default setting
+          await dbRun('DELETE FROM member_defaults WHERE member_id = ? AND day_of_week = ?', 
+            [memberId, dayIndex]);
+        } else {
+          // Insert or update default setting (a status key, or 'pending' for null)
+          const dbStatus = status === "pending" ? null : status;
+          await dbRun(`INSERT OR REPLACE INTO member_defaults (member_id, day_of_week, default_status) 
+                       VALUES (?, ?, ?)`, 
+            [memberId, dayIndex, dbStatus]);
+        }
+      
+        await recordAudit(request.team.id, getAuditActor(request), 'default_change', [{
+          memberId,
+          dayOfWeek: dayIndex,
+          oldStatus: previous ? previous.default_status : null,
+          newStatus: status === "remove" || status === "pending" ? null : status
+        }]);
+        return rememberUndo(request, { defaults: [{ memberId, dayOfWeek: dayIndex, row: previous || null }] });
+      });
+      
+      // Invalidate cache and broadcast the days of this week on that weekday
+      try {
+        const { workingDays, timeZone } = await getTeamSettings(request.team.id);
+        const dates = calculateWeekDates(workingDays, timeZone)
+          .filter(date => date.dayName === dayName)
+          .map(date => date.dateString);
+        await broadcastMemberUpdate(request.team.id, memberId, dates);
+      } catch (error) {
+        console.error('Error broadcasting member default update:', error);
+      }
+      
+      reply.send({ success: true, undoId });
+    } catch (error) {
+      console.error('Error updating member default:', error);
+      reply.status(500).send({ error: 'Failed to update member default' });
+    }
+  });
+
+
+  fastify.get('/api/members', async (request, reply) => {
+    const members = await dbAll(`SELECT id, name, role, created_at FROM members 
+                                 WHERE team_id = ? AND archived_at IS NULL ORDER BY ${MEMBER_ORDER}`, [request.team.id]);
+    const tagsByMember = await getMemberTags(request.team.id);
+    return members.map(member => ({ ...member, tags: tagsByMember.get(member.id) || [] }));
+  });
+
+  fastify.post('/api/members', { preHandler: requireAdmin }, async (request, reply) => {
+    const { name } = request.body;
+    
+    // Input validation
+    const validation = validateMemberName(name);
+    if (validation.error) {
+      return reply.status(400).send({ error: validation.error });
+    }
+    const sanitizedName = validation.name;
+    
+    let memberId;
+    try {
+      memberId = await withTransaction(async () => {
+        const { lastID } = await dbRun(`INSERT INTO members (team_id, name, sort_order) VALUES (?, ?, ${NEXT_SORT_ORDER})`, [request.team.id, sanitizedName, request.team.id]);
+        
+        // Add default settings for every day of the week (null = 未回答デフォルト)
+        for (let day = 0; day < DAY_NAMES.length; day++) {
+          await dbRun("INSERT INTO member_defaults (member_id, day_of_week, default_status) VALUES (?, ?, ?)", [lastID, day, null]);
+        }
+        return lastID;
+      });
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT') {
+        return reply.status(409).send({ error: 'Member name already exists (archived members keep their name)' });
+      }
+      console.error('Error adding member:', err);
+      return reply.status(500).send({ error: 'Database error' });
+    }
+    
+    emitWebhookEvent(request.team.id, 'member.added', { memberId, name: sanitizedName });
+    
+    // Invalidate cache and broadcast update
+    broadcastWeekUpdate(request.team.id).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { id: memberId, name: sanitizedName };
+  });
+
+  // Bulk-add members from CSV: a name column followed by optional weekday
+  // default columns. The header row is optional; without one the columns are
+  // the name and the team's working days (e.g. 名前,月,火,水,木,金). Names that already exist are reported and skipped,
+  // everything else is inserted in a single transaction.
+  fastify.post('/api/members/import', { preHandler: requireAdmin }, async (request, reply) => {
+    const { csv, dryRun = false } = request.body || {};
+    
+    if (typeof csv !== 'string' || csv.trim() === '') {
+      return reply.status(400).send({ error: 'csv is required' });
+    }
+    
+    const { workingDays } = await getTeamSettings(request.team.id);
+    const rows = parseCsv(csv);
+    
+    let columns = ['name', ...getWorkingDayNames(workingDays)];
+    let firstRow = 0;
+    const headerCell = (rows[0][0] || '').trim().toLowerCase();
+    if (['名前', '氏名', 'name'].includes(headerCell)) {
+      columns = rows[0].map((cell, index) => index === 0 ? 'name' : cell.trim());
+      const unknown = columns.slice(1).filter(column => column !== '' && !DAY_NAMES.includes(column));
+      if (unknown.length > 0) {
+        return reply.status(400).send({ error: `Unknown columns: ${unknown.join(', ')}` });
+      }
+      firstRow = 1;
+    }
+    
+    const existingRows = await dbAll("SELECT name FROM members WHERE team_id = ?", [request.team.id]);
+    const existingNames = new Set(existingRows.map(row => row.name));
+    const seenNames = new Set();
+    
+    const members = [];
+    const duplicates = [];
+    const errors = [];
+    
+    for (let i = firstRow; i < rows.length; i++) {
+      const fields = rows[i];
+      const line = i + 1;
+      
+      if (fields.every(field => field.trim() === '')) continue;
+      
+      const validation = validateMemberName(fields[0]);
+      if (validation.error) {
+        errors.push({ line, error: validation.error });
+        continue;
+      }
+      const name = validation.name;
+      
+      if (existingNames.has(name)) {
+        duplicates.push({ line, name, reason: 'exists' });
+        continue;
+      }
+      if (seenNames.has(name)) {
+        duplicates.push({ line, name, reason: 'duplicate_in_file' });
+        continue;
+      }
+      seenNames.add(name);
+      
+      const defaults = {};
+      for (let j = 1; j < columns.length; j++) {
+        if (!DAY_NAMES.includes(columns[j])) continue;
+        const status = parseImportedStatus(fields[j]);
+        if (status === undefined) {
+          errors.push({ line, error: `Invalid default status for ${columns[j]}: ${fields[j]}` });
+        }
+        defaults[columns[j]] = status || null;
+      }
+      
+      members.push({ line, name, defaults });
+    }
+    
+    if (errors.length > 0) {
+      return reply.status(400).send({ error: 'CSV contains invalid rows', errors, duplicates });
+    }
+    
+    if (dryRun) {
+      return { dryRun: true, members, duplicates };
+    }
+    
+    let imported;
+    try {
+      imported = await withTransaction(async () => {
+        const created = [];
+        for (const member of members) {
+          const { lastID: memberId } = await dbRun(`INSERT INTO members (team_id, name, sort_order) VALUES (?, ?, ${NEXT_SORT_ORDER})`, 
+            [request.team.id, member.name, request.team.id]);
+          for (let day = 0; day < DAY_NAMES.length; day++) {
+            await dbRun("INSERT INTO member_defaults (member_id, day_of_week, default_status) VALUES (?, ?, ?)", 
+              [memberId, day, member.defaults[DAY_NAMES[day]] || null]);
+          }
+          created.push({ id: memberId, name: member.name });
+        }
+        return created;
+      });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return reply.status(409).send({ error: 'Member name already exists, nothing was imported' });
+      }
+      throw error;
+    }
+    
+    for (const member of imported) {
+      emitWebhookEvent(request.team.id, 'member.added', { memberId: member.id, name: member.name });
+    }
+    
+    // One broadcast for the whole import
+    if (imported.length > 0) {
+      broadcastWeekUpdate(request.team.id).catch(err => {
+        console.error('Error broadcasting update:', err);
+      });
+    }
+    
+    return { dryRun: false, imported, duplicates };
+  });
+
+  // Rename a member (same rules as creating one)
+  fastify.patch('/api/members/:id', { preHandler: requireAdmin }, async (request, reply) => {
+    const memberId = parseInt(request.params.id, 10);
+    if (isNaN(memberId) || memberId <= 0) {
+      return reply.status(400).send({ error: 'Invalid member ID' });
+    }
+    
+    const validation = validateMemberName((request.body || {}).name);
+    if (validation.error) {
+      return reply.status(400).send({ error: validation.error });
+    }
+    
+    if (!(await getTeamMember(request.team.id, memberId))) {
+      return reply.status(404).send({ error: 'Member not found' });
+    }
+    
+    try {
+      await dbRun("UPDATE members SET name = ? WHERE id = ?", [validation.name, memberId]);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return reply.status(409).send({ error: 'Member name already exists (archived members keep their name)' });
+      }
+      throw error;
+    }
+    
+    broadcastWeekUpdate(request.team.id).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { id: memberId, name: validation.name };
+  });
+
+  // Replace a member's tags
+  fastify.put('/api/members/:id/tags', { preHandler: requireAdmin }, async (request, reply) => {
+    const memberId = parseInt(request.params.id, 10);
+    if (isNaN(memberId) || memberId <= 0) {
+      return reply.status(400).send({ error: 'Invalid member ID' });
+    }
+    
+    const validation = validateTags((request.body || {}).tags);
+    if (validation.error) {
+      return reply.status(400).send({ error: validation.error });
+    }
+    
+    if (!(await getTeamMember(request.team.id, memberId))) {
+      return reply.status(404).send({ error: 'Member not found' });
+    }
+    
+    await withTransaction(async () => {
+      await dbRun("DELETE FROM member_tags WHERE member_id = ?", [memberId]);
+      for (const tag of validation.tags) {
+        await dbRun("INSERT INTO member_tags (member_id, tag) VALUES (?, ?)", [memberId, tag]);
+      }
+    });
+    
+    broadcastWeekUpdate(request.team.id).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { id: memberId, tags: validation.tags };
+  });
+
+  // Set the display order. memberIds must list every active member once.
+  fastify.put('/api/members/order', { preHandler: requireAdmin }, async (request, reply) => {
+    const { memberIds } = request.body || {};
+    if (!Array.isArray(memberIds) || !memberIds.every(Number.isInteger)) {
+      return reply.status(400).send({ error: 'memberIds must be an array of member IDs' });
+    }
+    
+    const rows = await dbAll("SELECT id FROM members WHERE team_id = ? AND archived_at IS NULL", [request.team.id]);
+    const activeIds = new Set(rows.map(row => row.id));
+    if (new Set(memberIds).size !== memberIds.length || memberIds.length !== activeIds.size || 
+        !memberIds.every(id => activeIds.has(id))) {
+      return reply.status(400).send({ error: 'memberIds must list every member of the team exactly once' });
+    }
+    
+    await withTransaction(async () => {
+      for (const [index, memberId] of memberIds.entries()) {
+        await dbRun("UPDATE members SET sort_order = ? WHERE id = ?", [index + 1, memberId]);
+      }
+    });
+    
+    broadcastWeekUpdate(request.team.id).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { success: true };
+  });
+
+  fastify.delete('/api/members/:id', { preHandler: requireAdmin }, async (request, reply) => {
+    const { id } = request.params;
+    
+    // Input validation
+    const memberId = parseInt(id, 10);
+    if (isNaN(memberId) || memberId <= 0) {
+      return reply.status(400).send({ error: 'Invalid member ID' });
+    }
+    
+    if (!(await getTeamMember(request.team.id, memberId))) {
+      return reply.status(404).send({ error: 'Member not found' });
+    }
+    
+    const memberRow = await dbGet("SELECT * FROM members WHERE id = ?", [memberId]);
+    
+    // Archive rather than delete so the member's history stays in reports.
+    // Their sessions end; archived members cannot log in.
+    await withTransaction(async () => {
+      await dbRun("UPDATE members SET archived_at = CURRENT_TIMESTAMP WHERE id = ?", [memberId]);
+      await dbRun("DELETE FROM sessions WHERE member_id = ?", [memberId]);
+    });
+    
+    const undoId = rememberUndo(request, { member: memberRow });
+    emitWebhookEvent(request.team.id, 'member.deleted', { memberId, name: memberRow.name, purged: false });
+    
+    // Invalidate cache and broadcast update
+    broadcastWeekUpdate(request.team.id).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { success: true, archived: true, undoId };
+  });
+
+  fastify.get('/api/members/archived', { preHandler: requireAdmin }, async (request, reply) => {
+    return dbAll(`SELECT id, name, role, created_at, archived_at FROM members 
+                  WHERE team_id = ? AND archived_at IS NOT NULL ORDER BY archived_at DESC, id DESC`, [request.team.id]);
+  });
+
+  fastify.post('/api/members/:id/restore', { preHandler: requireAdmin }, async (request, reply) => {
+    const memberId = parseInt(request.params.id, 10);
+    if (isNaN(memberId) || memberId <= 0) {
+      return reply.status(400).send({ error: 'Invalid member ID' });
+    }
+    
+    const result = await dbRun("UPDATE members SET archived_at = NULL WHERE id = ? AND team_id = ? AND archived_at IS NOT NULL", 
+      [memberId, request.team.id]);
+    if (result.changes === 0) {
+      return reply.status(404).send({ error: 'Archived member not found' });
+    }
+    
+    forgetUndoForMember(memberId);
+    const { name } = await dbGet("SELECT name FROM members WHERE id = ?", [memberId]);
+    emitWebhookEvent(request.team.id, 'member.added', { memberId, name, restored: true });
+    
+    broadcastWeekUpdate(request.team.id).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { success: true };
+  });
+
+  // Permanently delete an archived member with everything that belongs to them
+  fastify.delete('/api/members/:id/purge', { preHandler: requireAdmin }, async (request, reply) => {
+    const memberId = parseInt(request.params.id, 10);
+    if (isNaN(memberId) || memberId <= 0) {
+      return reply.status(400).send({ error: 'Invalid member ID' });
+    }
+    
+    const member = await dbGet("SELECT id, name FROM members WHERE id = ? AND team_id = ? AND archived_at IS NOT NULL", 
+      [memberId, request.team.id]);
+    if (!member) {
+      return reply.status(404).send({ error: 'Archived member not found' });
+    }
+    
+    const deletedRecords = await withTransaction(async () => {
+      await dbRun("DELETE FROM sessions WHERE member_id = ?", [memberId]);
+      const { changes } = await dbRun("DELETE FROM attendance WHERE member_id = ?", [memberId]);
+      await dbRun("DELETE FROM member_defaults WHERE member_id = ?", [memberId]);
+      await dbRun("DELETE FROM member_tags WHERE member_id = ?", [memberId]);
+      await dbRun("DELETE FROM member_periods WHERE member_id = ?", [memberId]);
+      await dbRun("DELETE FROM member_rules WHERE member_id = ?", [memberId]);
+      await dbRun("DELETE FROM members WHERE id = ?", [memberId]);
+      return changes;
+    });
+    
+    forgetUndoForMember(memberId);
+    emitWebhookEvent(request.team.id, 'member.deleted', { memberId, name: member.name, purged: true });
+    
+    return { success: true, deletedRecords };
+  });
+
+  // Grant or revoke the admin role
+  fastify.put('/api/members/:id/role', { preHandler: requireAdmin }, async (request, reply) => {
+    const memberId = parseInt(request.params.id, 10);
+    if (isNaN(memberId) || memberId <= 0) {
+      return reply.status(400).send({ error: 'Invalid member ID' });
+    }
+    
+    const { role } = request.body || {};
+    if (role !== 'member' && role !== 'admin') {
+      return reply.status(400).send({ error: 'role must be "member" or "admin"' });
+    }
+    
+    if (!(await getTeamMember(request.team.id, memberId))) {
+      return reply.status(404).send({ error: 'Member not found' });
+    }
+    
+    // Keep at least one admin account around
+    if (role === 'member') {
+      const { count } = await dbGet("SELECT COUNT(*) as count FROM members WHERE team_id = ? AND role = 'admin' AND archived_at IS NULL AND id != ?", [request.team.id, memberId]);
+      if (count === 0 && !ADMIN_TOKEN) {
+        return reply.status(409).send({ error: 'Cannot remove the last admin' });
+      }
+    }
+    
+    await dbRun("UPDATE members SET role = ? WHERE id = ?", [role, memberId]);
+    
+    return { success: true, id: memberId, role };
+  });
+
+  // Clear a member's password and issue a one-time setup code. The member
+  // enters the code on their next login to choose a new password.
+  fastify.delete('/api/members/:id/password', { preHandler: requireAdmin }, async (request, reply) => {
+    const memberId = parseInt(request.params.id, 10);
+    if (isNaN(memberId) || memberId <= 0) {
+      return reply.status(400).send({ error: 'Invalid member ID' });
+    }
+    
+    if (!(await getTeamMember(request.team.id, memberId))) {
+      return reply.status(404).send({ error: 'Member not found' });
+    }
+    
+    await dbRun("UPDATE members SET password_hash = NULL WHERE id = ?", [memberId]);
+    await dbRun("DELETE FROM sessions WHERE member_id = ?", [memberId]);
+    const { setupCode, expiresAt } = await issueSetupCode(memberId);
+    
+    return { success: true, setupCode, expiresAt };
+  });
+
+  fastify.post('/api/attendance/reset', { preHandler: requireAdmin }, async (request, reply) => {
+    const { date, deletedRecords, previousRows } = await resetTeamAttendance(request.team.id, 'admin_reset', getAuditActor(request));
+    const undoId = rememberUndo(request, {
+      attendance: previousRows.map(row => ({ memberId: row.member_id, date, row }))
+    });
+    console.log(`Reset attendance for ${date} in team ${request.team.slug}, deleted ${deletedRecords} records`);
+    
+    // Invalidate cache and broadcast weekly update to the team's clients
+    broadcastWeekUpdate(request.team.id).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { success: true, deletedRecords, date, undoId };
+  });
+
+  // Revert the last change this client made, if it is still within UNDO_WINDOW
+  fastify.post('/api/undo', async (request, reply) => {
+    const { undoId } = request.body || {};
+    const key = getUndoClientKey(request);
+    const entry = key ? undoEntries.get(key) : null;
+    
+    if (!entry || entry.id !== undoId || entry.teamId !== request.team.id || entry.expiresAt <= Date.now()) {
+      return reply.status(409).send({ error: 'Nothing to undo' });
+    }
+    
+    for (const { date } of entry.snapshot.attendance || []) {
+      if (await isAnswerLocked(request, date)) {
+        return reply.status(423).send({ error: 'The answer deadline for this day has passed' });
+      }
+    }
+    const defaultDays = (entry.snapshot.defaults || []).map(({ dayOfWeek }) => DAY_NAMES[dayOfWeek]);
+    const rules = (entry.snapshot.rules || []).map(({ rule }) => rule);
+    const periods = (entry.snapshot.periods || []).map(({ period }) => period);
+    if (await isWeekChangeLocked(request, date => defaultDays.includes(date.dayName) || 
+        rules.some(rule => matchesRule(rule, date.dateString)) || 
+        periods.some(period => date.dateString >= period.startDate && date.dateString <= period.endDate))) {
+      return reply.status(423).send({ error: 'The answer deadline for this day has passed' });
+    }
+    undoEntries.delete(key);
+    
+    try {
+      await withTransaction(async () => {
+        const changes = await restoreSnapshot(request.team.id, entry.snapshot);
+        await recordAudit(request.team.id, getAuditActor(request), 'undo', changes);
+      });
+    } catch (error) {
+      // e.g. a deleted member's name has been taken by a new member
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return reply.status(409).send({ error: 'The change can no longer be undone' });
+      }
+      throw error;
+    }
+    
+    const { member } = entry.snapshot;
+    if (member) {
+      emitWebhookEvent(request.team.id, 'member.added', { memberId: member.id, name: member.name, restored: true });
+    }
+    
+    broadcastWeekUpdate(request.team.id).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { success: true };
+  });
+
+  // API endpoint to get the team's next auto-reset time
+  fastify.get('/api/next-reset', async (request, reply) => {
+    const { settings, nextReset } = await getNextAutoReset(request.team.id);
+    
+    if (!nextReset) {
+      return { enabled: false, nextReset: null, timeZone: settings.timeZone };
+    }
+    
+    return {
+      enabled: true,
+      nextReset: nextReset.toISOString(),
+      nextResetLocal: nextReset.toLocaleString('ja-JP', {timeZone: settings.timeZone}),
+      timeZone: settings.timeZone,
+      timeUntilReset: nextReset.getTime() - Date.now()
+    };
+  });
+
+  // Team settings
+  fastify.get('/api/settings', { preHandler: requireAdmin }, async (request, reply) => {
+    return getTeamSettings(request.team.id);
+  });
+
+  fastify.put('/api/settings', { preHandler: requireAdmin }, async (request, reply) => {
+    const changes = request.body;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return reply.status(400).send({ error: 'Settings object is required' });
+    }
+    
+    const result = await updateTeamSettings(request.team.id, changes);
+    if (result.error) {
+      return reply.status(400).send({ error: result.error });
+    }
+    
+    // Pick up new reset/reminder/summary times, time zone or days immediately
+    await scheduleAutoReset(request.team);
+    await scheduleReminders(request.team);
+    await scheduleDailySummary(request.team);
+    
+    // Working days or public holidays may have changed
+    broadcastWeekUpdate(request.team.id).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return result.settings;
+  });
+
+  // Send today's summary email now, to check the SMTP settings
+  fastify.post('/api/summary-email/test', { preHandler: requireAdmin }, async (request, reply) => {
+    const { summaryEmailRecipients } = await getTeamSettings(request.team.id);
+    
+    let result;
+    try {
+      result = await sendDailySummary(request.team, summaryEmailRecipients);
+    } catch (error) {
+      return reply.status(502).send({ error: `Sending failed: ${error.message}` });
+    }
+    if (result.error) {
+      return reply.status(409).send({ error: result.error });
+    }
+    return result;
+  });
+
+  // Post the unanswered reminder now, to check the webhook URL
+  fastify.post('/api/reminders/test', { preHandler: requireAdmin }, async (request, reply) => {
+    const { reminderWebhookUrl } = await getTeamSettings(request.team.id);
+    if (!reminderWebhookUrl) {
+      return reply.status(400).send({ error: 'reminderWebhookUrl is not set' });
+    }
+    
+    const unanswered = await getUnansweredToday(request.team.id);
+    if (unanswered.error) {
+      return reply.status(409).send({ error: unanswered.error });
+    }
+    
+    const delivery = await postReminder(reminderWebhookUrl, unanswered);
+    if (!delivery.ok) {
+      return reply.status(502).send({ error: `Webhook delivery failed after ${delivery.attempts} attempts: ${delivery.error}` });
+    }
+    return { ...unanswered, delivery };
+  });
+
+  // Browse the audit log, newest first. Filters: memberId, source, date (the
+  // changed day), from/to (when the change was made, UTC). Page with `before`.
+  fastify.get('/api/audit', { preHandler: requireAdmin }, async (request, reply) => {
+    const { memberId, source, date, from, to, before } = request.query;
+    const limit = Math.min(parseInt(request.query.limit) || 100, AUDIT_PAGE_MAX);
+    
+    const conditions = ['l.team_id = ?'];
+    const params = [request.team.id];
+    
+    if (memberId !== undefined && memberId !== '') {
+      conditions.push('l.member_id = ?');
+      params.push(parseInt(memberId));
+    }
+    if (source) {
+      if (!AUDIT_SOURCES.includes(source)) {
+        return reply.status(400).send({ error: `source must be one of: ${AUDIT_SOURCES.join(', ')}` });
+      }
+      conditions.push('l.source = ?');
+      params.push(source);
+    }
+    for (const [value, condition] of [[date, 'l.date = ?'], [from, 'date(l.created_at) >= ?'], [to, 'date(l.created_at) <= ?']]) {
+      if (value === undefined || value === '') continue;
+      if (!parseDateString(value)) {
+        return reply.status(400).send({ error: 'date, from and to must be dates in YYYY-MM-DD format' });
+      }
+      conditions.push(condition);
+      params.push(value);
+    }
+    if (before) {
+      conditions.push('l.id < ?');
+      params.push(parseInt(before));
+    }
+    
+    const entries = await dbAll(`
+      SELECT l.id, l.actor_member_id AS actorMemberId, l.actor, l.ip, l.member_id AS memberId, 
+             m.name AS memberName, l.date, l.day_of_week AS dayOfWeek, l.old_status AS oldStatus, 
+             l.new_status AS newStatus, l.source, l.detail, l.created_at AS createdAt
+      FROM audit_log l
+      LEFT JOIN members m ON m.id = l.member_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY l.id DESC
+      LIMIT ?
+    `, [...params, limit]);
+    
+    return {
+      entries: entries.map(entry => ({ ...entry, detail: entry.detail ? JSON.parse(entry.detail) : null })),
+      nextBefore: entries.length === limit ? entries[entries.length - 1].id : null
+    };
+  });
+
+  // Closed days (public holidays and team closures) in a date range
+  fastify.get('/api/holidays', async (request, reply) => {
+    const { from, to } = request.query;
+    
+    const fromDate = parseDateString(from);
+    const toDate = parseDateString(to);
+    if (!fromDate || !toDate) {
+      return reply.status(400).send({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    
+    const closedDays = await getClosedDays(request.team.id, from, to);
+    return Array.from(closedDays.entries())
+      .map(([date, closed]) => ({ date, ...closed }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  });
+
+  // Absence periods (vacations) of active members that have not ended yet,
+  // optionally for one member
+  fastify.get('/api/periods', async (request, reply) => {
+    const today = await getTeamToday(request.team.id);
+    const memberId = request.query.memberId ? parseInt(request.query.memberId, 10) : null;
+    
+    const rows = await dbAll(`
+      SELECT p.id, p.member_id AS memberId, m.name AS memberName, p.start_date AS startDate, 
+             p.end_date AS endDate, p.status, p.reason
+      FROM member_periods p
+      JOIN members m ON m.id = p.member_id
+      WHERE m.team_id = ? AND m.archived_at IS NULL AND p.end_date >= ? AND (? IS NULL OR p.member_id = ?)
+      ORDER BY p.start_date, p.id
+    `, [request.team.id, today, memberId, memberId]);
+    return rows;
+  });
+
+  fastify.post('/api/periods', { preHandler: requireMember }, async (request, reply) => {
+    const { memberId, startDate, endDate, status, reason } = request.body || {};
+    
+    if (memberId !== request.member.id) {
+      return reply.status(403).send({ error: 'You can only change your own attendance' });
+    }
+    
+    const start = parseDateString(startDate);
+    const end = parseDateString(endDate);
+    if (!start || !end) {
+      return reply.status(400).send({ error: 'startDate and endDate must be dates in YYYY-MM-DD format' });
+    }
+    
+    if (start > end) {
+      return reply.status(400).send({ error: 'startDate must not be after endDate' });
+    }
+    
+    if ((end - start) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) {
+      return reply.status(400).send({ error: `A period cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+    
+    if (!isValidStatus(status)) {
+      return reply.status(400).send({ error: `status must be one of: ${STATUS_KEYS.join(', ')}` });
+    }
+    
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return reply.status(400).send({ error: 'reason must be a string' });
+    }
+    
+    const trimmedReason = (reason || '').trim();
+    if (trimmedReason.length > COMMENT_MAX_LENGTH) {
+      return reply.status(400).send({ error: `reason cannot exceed ${COMMENT_MAX_LENGTH} characters` });
+    }
+    const sanitizedReason = trimmedReason.replace(/[<>"'&]/g, '') || null;
+    
+    if (await isWeekChangeLocked(request, date => date.dateString >= startDate && date.dateString <= endDate)) {
+      return reply.status(423).send({ error: 'The answer deadline for this day has passed' });
+    }
+    
+    const { created, undoId } = await withTransaction(async () => {
+      const { lastID } = await dbRun(`INSERT INTO member_periods (member_id, start_date, end_date, status, reason) 
+                                      VALUES (?, ?, ?, ?, ?)`, [memberId, startDate, endDate, status, sanitizedReason]);
+      const period = formatPeriod(await dbGet("SELECT * FROM member_periods WHERE id = ?", [lastID]));
+      
+      await recordAudit(request.team.id, getAuditActor(request), 'period_change', [{
+        memberId,
+        oldStatus: null,
+        newStatus: status,
+        detail: { period }
+      }]);
+      return { created: period, undoId: rememberUndo(request, { periods: [{ memberId, period, row: null }] }) };
+    });
+    
+    broadcastMemberUpdate(request.team.id, memberId).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { ...created, undoId };
+  });
+
+  fastify.delete('/api/periods/:id', { preHandler: requireMember }, async (request, reply) => {
+    const periodId = parseInt(request.params.id, 10);
+    const row = await dbGet("SELECT * FROM member_periods WHERE id = ?", [periodId]);
+    if (!row || !(await getTeamMember(request.team.id, row.member_id))) {
+      return reply.status(404).send({ error: 'Period not found' });
+    }
+    const period = formatPeriod(row);
+    
+    if (period.memberId !== request.member.id) {
+      return reply.status(403).send({ error: 'You can only change your own attendance' });
+    }
+    
+    if (await isWeekChangeLocked(request, date => date.dateString >= period.startDate && date.dateString <= period.endDate)) {
+      return reply.status(423).send({ error: 'The answer deadline for this day has passed' });
+    }
+    
+    const { changed, undoId } = await withTransaction(async () => {
+      const { changes } = await dbRun("DELETE FROM member_periods WHERE id = ?", [periodId]);
+      if (changes === 0) return { changed: false };
+      
+      await recordAudit(request.team.id, getAuditActor(request), 'period_change', [{
+        memberId: period.memberId,
+        oldStatus: period.status,
+        newStatus: null,
+        detail: { period }
+      }]);
+      return { changed: true, undoId: rememberUndo(request, { periods: [{ memberId: period.memberId, period, row }] }) };
+    });
+    if (!changed) {
+      return reply.status(404).send({ error: 'Period not found' });
+    }
+    
+    broadcastMemberUpdate(request.team.id, period.memberId).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { success: true, undoId };
+  });
+
+  // Recurring default rules of active members that have not ended yet,
+  // optionally for one member
+  fastify.get('/api/rules', async (request, reply) => {
+    const today = await getTeamToday(request.team.id);
+    const memberId = request.query.memberId ? parseInt(request.query.memberId, 10) : null;
+    
+    return dbAll(`
+      SELECT r.id, r.member_id AS memberId, m.name AS memberName, r.kind, r.status, 
+             r.start_date AS startDate, r.end_date AS endDate, r.interval_weeks AS intervalWeeks, 
+             r.week_of_month AS weekOfMonth, r.day_of_week AS dayOfWeek
+      FROM member_rules r
+      JOIN members m ON m.id = r.member_id
+      WHERE m.team_id = ? AND m.archived_at IS NULL AND (r.end_date IS NULL OR r.end_date >= ?) 
+        AND (? IS NULL OR r.member_id = ?)
+      ORDER BY r.id
+    `, [request.team.id, today, memberId, memberId]);
+  });
+
+  // weekly: { intervalWeeks } (the weekday is the start date's);
+  // monthly: { weekOfMonth: 1-5 or -1, dayOfWeek }
+  fastify.post('/api/rules', { preHandler: requireMember }, async (request, reply) => {
+    const { memberId, kind, status, startDate, endDate, intervalWeeks, weekOfMonth, dayOfWeek } = request.body || {};
+    
+    if (memberId !== request.member.id) {
+      return reply.status(403).send({ error: 'You can only change your own defaults' });
+    }
+    
+    if (!RULE_KINDS.includes(kind)) {
+      return reply.status(400).send({ error: `kind must be one of: ${RULE_KINDS.join(', ')}` });
+    }
+    
+    if (!isValidStatus(status)) {
+      return reply.status(400).send({ error: `status must be one of: ${STATUS_KEYS.join(', ')}` });
+    }
+    
+    const start = parseDateString(startDate);
+    if (!start) {
+      return reply.status(400).send({ error: 'startDate must be a date in YYYY-MM-DD format' });
+    }
+    
+    if (endDate !== undefined && endDate !== null) {
+      const end = parseDateString(endDate);
+      if (!end || end < start) {
+        return reply.status(400).send({ error: 'endDate must be a date in YYYY-MM-DD format, not before startDate' });
+      }
+    }
+    
+    let rule;
+    if (kind === 'weekly') {
+      if (!Number.isInteger(intervalWeeks) || intervalWeeks < 1 || intervalWeeks > MAX_INTERVAL_WEEKS) {
+        return reply.status(400).send({ error: `intervalWeeks must be an integer from 1 to ${MAX_INTERVAL_WEEKS}` });
+      }
+      rule = { intervalWeeks, weekOfMonth: null, dayOfWeek: start.getUTCDay() };
+    } else {
+      if (![1, 2, 3, 4, 5, -1].includes(weekOfMonth)) {
+        return reply.status(400).send({ error: 'weekOfMonth must be 1-5, or -1 for the last week' });
+      }
+      if (!WEEKDAYS.includes(dayOfWeek)) {
+        return reply.status(400).send({ error: 'dayOfWeek must be an integer from 0 (Sunday) to 6' });
+      }
+      rule = { intervalWeeks: null, weekOfMonth, dayOfWeek };
+    }
+    
+    const newRule = { kind, startDate, endDate: endDate || null, ...rule };
+    if (await isWeekChangeLocked(request, date => matchesRule(newRule, date.dateString))) {
+      return reply.status(423).send({ error: 'The answer deadline for this day has passed' });
+    }
+    
+    const { created, undoId } = await withTransaction(async () => {
+      const { lastID } = await dbRun(`INSERT INTO member_rules 
+                                      (member_id, kind, status, start_date, end_date, interval_weeks, week_of_month, day_of_week) 
+                                      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, 
+        [memberId, kind, status, startDate, endDate || null, rule.intervalWeeks, rule.weekOfMonth, rule.dayOfWeek]);
+      const added = formatRule(await dbGet("SELECT * FROM member_rules WHERE id = ?", [lastID]));
+      
+      await recordAudit(request.team.id, getAuditActor(request), 'rule_change', [{
+        memberId,
+        dayOfWeek: added.dayOfWeek,
+        oldStatus: null,
+        newStatus: status,
+        detail: { rule: added }
+      }]);
+      return { created: added, undoId: rememberUndo(request, { rules: [{ memberId, rule: added, row: null }] }) };
+    });
+    
+    broadcastMemberUpdate(request.team.id, memberId).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { ...created, undoId };
+  });
+
+  fastify.delete('/api/rules/:id', { preHandler: requireMember }, async (request, reply) => {
+    const ruleId = parseInt(request.params.id, 10);
+    const row = await dbGet("SELECT * FROM member_rules WHERE id = ?", [ruleId]);
+    if (!row || !(await getTeamMember(request.team.id, row.member_id))) {
+      return reply.status(404).send({ error: 'Rule not found' });
+    }
+    const rule = formatRule(row);
+    
+    if (rule.memberId !== request.member.id) {
+      return reply.status(403).send({ error: 'You can only change your own defaults' });
+    }
+    
+    if (await isWeekChangeLocked(request, date => matchesRule(rule, date.dateString))) {
+      return reply.status(423).send({ error: 'The answer deadline for this day has passed' });
+    }
+    
+    const { changed, undoId } = await withTransaction(async () => {
+      const { changes } = await dbRun("DELETE FROM member_rules WHERE id = ?", [ruleId]);
+      if (changes === 0) return { changed: false };
+      
+      await recordAudit(request.team.id, getAuditActor(request), 'rule_change', [{
+        memberId: rule.memberId,
+        dayOfWeek: rule.dayOfWeek,
+        oldStatus: rule.status,
+        newStatus: null,
+        detail: { rule }
+      }]);
+      return { changed: true, undoId: rememberUndo(request, { rules: [{ memberId: rule.memberId, rule, row }] }) };
+    });
+    if (!changed) {
+      return reply.status(404).send({ error: 'Rule not found' });
+    }
+    
+    broadcastMemberUpdate(request.team.id, rule.memberId).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { success: true, undoId };
+  });
+
+  // Team closures (company holidays) managed by admins
+  fastify.get('/api/closures', async (request, reply) => {
+    return dbAll("SELECT date, name FROM holidays WHERE team_id = ? ORDER BY date", [request.team.id]);
+  });
+
+  fastify.post('/api/closures', { preHandler: requireAdmin }, async (request, reply) => {
+    const { date, name } = request.body || {};
+    
+    if (!parseDateString(date)) {
+      return reply.status(400).send({ error: 'date must be in YYYY-MM-DD format' });
+    }
+    
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return reply.status(400).send({ error: 'Closure name is required' });
+    }
+    
+    const sanitizedName = name.trim().replace(/[<>"'&]/g, '').slice(0, 50);
+    
+    try {
+      await dbRun("INSERT INTO holidays (team_id, date, name) VALUES (?, ?, ?)", [request.team.id, date, sanitizedName]);
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT') {
+        return reply.status(409).send({ error: 'A closure already exists on this date' });
+      }
+      throw err;
+    }
+    
+    broadcastWeekUpdate(request.team.id).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { date, name: sanitizedName };
+  });
+
+  fastify.delete('/api/closures/:date', { preHandler: requireAdmin }, async (request, reply) => {
+    const { date } = request.params;
+    
+    const result = await dbRun("DELETE FROM holidays WHERE team_id = ? AND date = ?", [request.team.id, date]);
+    if (result.changes === 0) {
+      return reply.status(404).send({ error: 'Closure not found' });
+    }
+    
+    broadcastWeekUpdate(request.team.id).catch(err => {
+      console.error('Error broadcasting update:', err);
+    });
+    
+    return { success: true };
+  });
+
+  // Outgoing webhooks. The secret is only returned when the webhook is created.
+  fastify.get('/api/webhooks', { preHandler: requireAdmin }, async (request, reply) => {
+    const webhooks = await dbAll("SELECT id, url, events, created_at FROM webhooks WHERE team_id = ? ORDER BY id", [request.team.id]);
+    return webhooks.map(webhook => ({ ...webhook, events: JSON.parse(webhook.events) }));
+  });
+
+  fastify.post('/api/webhooks', { preHandler: requireAdmin }, async (request, reply) => {
+    const { url, events } = request.body || {};
+    
+    const validation = typeof url === 'string' && url ? validateWebhookUrl(url) : { error: 'missing' };
+    if (validation.error) {
+      return reply.status(400).send({ error: 'url must be an http(s) URL' });
+    }
+    const normalizedUrl = validation.value;
+    
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      return reply.status(400).send({ error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+    
+    const { count } = await dbGet("SELECT COUNT(*) AS count FROM webhooks WHERE team_id = ?", [request.team.id]);
+    if (count >= MAX_WEBHOOKS) {
+      return reply.status(409).send({ error: `A team can have at most ${MAX_WEBHOOKS} webhooks` });
+    }
+    
+    const secret = crypto.randomBytes(32).toString('hex');
+    const uniqueEvents = WEBHOOK_EVENTS.filter(event => events.includes(event));
+    const { lastID } = await dbRun("INSERT INTO webhooks (team_id, url, secret, events) VALUES (?, ?, ?, ?)",
+      [request.team.id, normalizedUrl, secret, JSON.stringify(uniqueEvents)]);
+    
+    return { id: lastID, url: normalizedUrl, events: uniqueEvents, secret };
+  });
+
+  fastify.delete('/api/webhooks/:id', { preHandler: requireAdmin }, async (request, reply) => {
+    const webhookId = parseInt(request.params.id, 10);
+    const webhook = await dbGet("SELECT id FROM webhooks WHERE id = ? AND team_id = ?", [webhookId, request.team.id]);
+    if (!webhook) {
+      return reply.status(404).send({ error: 'Webhook not found' });
+    }
+    
+    await withTransaction(async () => {
+      await dbRun("DELETE FROM webhook_deliveries WHERE webhook_id = ?", [webhookId]);
+      await dbRun("DELETE FROM webhooks WHERE id = ?", [webhookId]);
+    });
+    
+    return { success: true };
+  });
+
+  // Delivery log, newest first
+  fastify.get('/api/webhooks/:id/deliveries', { preHandler: requireAdmin }, async (request, reply) => {
+    const webhookId = parseInt(request.params.id, 10);
+    const webhook = await dbGet("SELECT id FROM webhooks WHERE id = ? AND team_id = ?", [webhookId, request.team.id]);
+    if (!webhook) {
+      return reply.status(404).send({ error: 'Webhook not found' });
+    }
+    
+    const deliveries = await dbAll(`SELECT id, event_id, event, payload, success, response_status, attempts, error, created_at
+                                    FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC`, [webhookId]);
+    return deliveries.map(delivery => ({ ...delivery, success: Boolean(delivery.success), payload: JSON.parse(delivery.payload) }));
+  });
+}
+
+fastify.register(teamRoutes);
+fastify.register(teamRoutes, { prefix: '/t/:team' });
+
+// Team pages share the same frontend; the client derives its API base from the URL
+fastify.get('/t/:team', async (request, reply) => {
+  return reply.redirect(`/t/${encodeURIComponent(request.params.team)}/`);
+});
+
+fastify.get('/t/:team/', async (request, reply) => {
+  if (!(await getTeamBySlug(request.params.team))) {
+    return reply.status(404).send({ error: 'Team not found' });
+  }
+  return reply.sendFile('index.html');
+});
+
+// Team management (admin token only)
+const TEAM_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+fastify.get('/api/teams', { preHandler: requireAdmin }, async (request, reply) => {
+  return dbAll("SELECT id, slug, name, created_at FROM teams ORDER BY id ASC");
+});
+
+fastify.post('/api/teams', { preHandler: requireAdmin }, async (request, reply) => {
+  const { slug, name, seed = true } = request.body || {};
+  
+  if (typeof slug !== 'string' || !TEAM_SLUG_PATTERN.test(slug)) {
+    return reply.status(400).send({ error: 'slug must be lowercase letters, digits or "-" (max 32)' });
+  }
+  
+  if (!name || typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 50) {
+    return reply.status(400).send({ error: 'name is required (max 50 characters)' });
+  }
+  
+  // Sanitize name (remove dangerous characters)
+  const sanitizedName = name.trim().replace(/[<>"'&]/g, '');
+  
+  try {
+    const { lastID: teamId } = await dbRun("INSERT INTO teams (slug, name) VALUES (?, ?)", [slug, sanitizedName]);
+    if (seed) {
+      await seedTeam(teamId);
+    }
+    await scheduleAutoReset({ id: teamId, slug, name: sanitizedName });
+    await scheduleReminders({ id: teamId, slug, name: sanitizedName });
+    await scheduleDailySummary({ id: teamId, slug, name: sanitizedName });
+    return { id: teamId, slug, name: sanitizedName };
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return reply.status(409).send({ error: 'Team slug already exists' });
+    }
+    throw error;
+  }
+});
+
+// Start server
+const PORT = parseInt(process.env.PORT, 10) || 3000;
 
-// Start server
 const start = async () => {
   try {
-    await fastify.listen({ port: 3000, host: '0.0.0.0' });
-    console.log('AttendCard server running on port 3000');
+    await initDatabase();
+    await fastify.listen({ port: PORT, host: '0.0.0.0' });
+    console.log(`AttendCard server running on port ${PORT}`);
     
-    // Schedule auto-reset
-    scheduleAutoReset();
+    // Schedule auto-reset, reminders and summary emails
+    await scheduleAllAutoResets();
+    await scheduleAllReminders();
+    await scheduleAllDailySummaries();
   } catch (err) {
     fastify.log.error(err);
     process.exit(1);
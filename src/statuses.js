@@ -0,0 +1,29 @@
+// Attendance statuses, in button order. `present` statuses count as attending
+// in summaries and reports; `always` ones are listed in a summary even at
+// zero. To add one, append it here, add it to STATUSES in public/app.js
+// (label, icon) and index.html (colour), and widen the CHECK constraints on
+// attendance and member_defaults with a migration.
+const STATUSES = [
+  { key: 'attend', label: '参加', present: true, always: true },
+  { key: 'remote', label: 'リモート', present: true },
+  { key: 'late', label: '遅刻', present: true },
+  { key: 'early_leave', label: '早退', present: true },
+  { key: 'half_day', label: '半休', present: true },
+  { key: 'tentative', label: '未定', present: false },
+  { key: 'absent', label: '欠席', present: false, always: true }
+];
+
+const STATUS_KEYS = STATUSES.map(status => status.key);
+
+const STATUS_LABELS = Object.fromEntries(STATUSES.map(status => [status.key, status.label]));
+
+function isValidStatus(value) {
+  return STATUS_KEYS.includes(value);
+}
+
+function isPresentStatus(value) {
+  const status = STATUSES.find(status => status.key === value);
+  return Boolean(status && status.present);
+}
+
+module.exports = { STATUSES, STATUS_KEYS, STATUS_LABELS, isValidStatus, isPresentStatus };
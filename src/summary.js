@@ -0,0 +1,78 @@
+// Daily summary email. Renders the counts of a card's summary block
+// (generateCardHTML in public/app.js) plus who is attending, absent and
+// unanswered, as plain text and HTML. `day` is one entry of
+// buildAttendanceDays(); statuses are the applied ones (answer, period, rule
+// or default).
+const { STATUSES } = require('./statuses');
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function countStatuses(members) {
+  const counts = { present: 0, pending: 0 };
+  STATUSES.forEach(status => { counts[status.key] = 0; });
+  members.forEach(member => {
+    const status = STATUSES.find(s => s.key === member.status);
+    if (!status) {
+      counts.pending++;
+      return;
+    }
+    counts[status.key]++;
+    if (status.present) counts.present++;
+  });
+  return counts;
+}
+
+// "田中（リモート・午後から）"
+function describeMember(member, withStatus) {
+  const status = STATUSES.find(s => s.key === member.status);
+  const notes = [withStatus && status ? status.label : null, member.comment].filter(Boolean);
+  return notes.length > 0 ? `${member.name}（${notes.join('・')}）` : member.name;
+}
+
+function buildDailySummary(teamName, dayName, day) {
+  const counts = countStatuses(day.members);
+  const summaryItems = [
+    ...STATUSES.filter(status => status.always || counts[status.key] > 0)
+      .map(status => ({ label: status.label, count: counts[status.key] })),
+    { label: '未回答', count: counts.pending },
+    { label: '合計', count: day.members.length }
+  ];
+
+  const present = day.members.filter(member => STATUSES.some(s => s.key === member.status && s.present));
+  const absent = day.members.filter(member => STATUSES.some(s => s.key === member.status && !s.present));
+  const pending = day.members.filter(member => !STATUSES.some(s => s.key === member.status));
+  const sections = [
+    { title: `出席 ${present.length}人`, names: present.map(member => describeMember(member, true)) },
+    { title: `欠席・未定 ${absent.length}人`, names: absent.map(member => describeMember(member, true)) },
+    { title: `未回答 ${pending.length}人`, names: pending.map(member => describeMember(member, false)) }
+  ];
+
+  const subject = `【出席サマリー】${teamName} ${day.date}（${dayName}）`;
+
+  const text = [
+    `${teamName} ${day.date}（${dayName}）の出席状況`,
+    '',
+    summaryItems.map(item => `${item.label}: ${item.count}`).join(' / '),
+    ...sections.flatMap(section => ['', `■ ${section.title}`, ...(section.names.length > 0 ? section.names.map(name => `・${name}`) : ['（なし）'])])
+  ].join('\n') + '\n';
+
+  const html = `<!DOCTYPE html>
+<html lang="ja">
+<body style="font-family: sans-serif; color: #212529;">
+  <h2>${escapeHtml(teamName)} ${escapeHtml(day.date)}（${escapeHtml(dayName)}）の出席状況</h2>
+  <table style="border-collapse: collapse;">
+    <tr>${summaryItems.map(item => `<th style="padding: 4px 12px; color: #6c757d; font-weight: normal;">${escapeHtml(item.label)}</th>`).join('')}</tr>
+    <tr>${summaryItems.map(item => `<td style="padding: 4px 12px; text-align: center; font-size: 1.5em; font-weight: bold;">${item.count}</td>`).join('')}</tr>
+  </table>
+${sections.map(section => `  <h3>${escapeHtml(section.title)}</h3>
+  ${section.names.length > 0 ? `<ul>${section.names.map(name => `<li>${escapeHtml(name)}</li>`).join('')}</ul>` : '<p>（なし）</p>'}`).join('\n')}
+</body>
+</html>
+`;
+
+  return { subject, text, html };
+}
+
+module.exports = { buildDailySummary };
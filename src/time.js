@@ -0,0 +1,84 @@
+// Time zone helpers for schedules expressed as wall-clock times ("13:00" in
+// Asia/Tokyo) independent of the server's own time zone.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a time zone
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  
+  const fields = {};
+  for (const { type, value } of parts) {
+    if (type !== 'literal') fields[type] = parseInt(value, 10);
+  }
+  fields.weekday = new Date(Date.UTC(fields.year, fields.month - 1, fields.day)).getUTCDay();
+  return fields;
+}
+
+// YYYY-MM-DD of an instant in a time zone
+function getZonedDateString(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// The instant at which the wall clock in timeZone shows the given local time
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const parts = getZonedParts(new Date(guess), timeZone);
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - guess;
+  return new Date(guess - offset);
+}
+
+// Next instant after `now` at which it is `time` (HH:MM) in timeZone on one of
+// `days` (0 = Sunday ... 6 = Saturday). Returns null when no day is allowed.
+function getNextScheduledTime(time, timeZone, days, now = new Date()) {
+  const [, hour, minute] = TIME_PATTERN.exec(time).map(Number);
+  const today = getZonedParts(now, timeZone);
+  
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (!days.includes(date.getUTCDay())) continue;
+    
+    const candidate = zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, timeZone);
+    if (candidate > now) {
+      return candidate;
+    }
+  }
+  
+  return null;
+}
+
+// The instant of `time` (HH:MM) in timeZone on a YYYY-MM-DD date
+function getZonedDateTime(dateString, time, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [, hour, minute] = TIME_PATTERN.exec(time).map(Number);
+  return zonedTimeToUtc(year, month, day, hour, minute, timeZone);
+}
+
+module.exports = {
+  TIME_PATTERN,
+  isValidTimeZone,
+  getZonedParts,
+  getZonedDateString,
+  zonedTimeToUtc,
+  getZonedDateTime,
+  getNextScheduledTime
+};
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+test('attendance API', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  
+  // Two sessions of the same member, so each has its own undo entry
+  const memberId = 1;
+  const first = await server.login(memberId);
+  const login = await server.request('POST', '/api/auth/login', { body: { memberId, password: 'secret1' } });
+  const second = login.headers.get('set-cookie').split(';')[0];
+  
+  const week = await server.request('GET', '/api/attendance/week');
+  const dayName = week.body.dayOrder.find(name => !week.body.weekData[name].closed);
+  const date = week.body.weekData[dayName].date;
+  
+  // The week endpoint caches for a second, so read the day from the range endpoint
+  async function getStatus() {
+    const { body } = await server.request('GET', `/api/attendance?from=${date}&to=${date}`);
+    return body.days[date].members.find(member => member.id === memberId).status;
+  }
+  
+  await t.test('audit entries and undo snapshots follow the order the writes happened in', async () => {
+    for (let round = 0; round < 10; round++) {
+      await server.request('POST', '/api/attendance/weekly', { cookie: first, body: { dayName, memberId, status: 'remote' } });
+      
+      const [a, b] = await Promise.all([
+        server.request('POST', '/api/attendance/weekly', { cookie: first, body: { dayName, memberId, status: 'absent' } }),
+        server.request('POST', '/api/attendance/weekly', { cookie: second, body: { dayName, memberId, status: 'late' } })
+      ]);
+      assert.equal(a.status, 200);
+      assert.equal(b.status, 200);
+      
+      // The two entries must chain: remote -> X, then X -> the final status
+      const audit = await server.request('GET', `/api/audit?memberId=${memberId}&date=${date}&source=ui&limit=2`, { admin: true });
+      const [last, previous] = audit.body.entries;
+      assert.equal(previous.oldStatus, 'remote');
+      assert.equal(last.oldStatus, previous.newStatus);
+      assert.equal(last.newStatus, await getStatus());
+      
+      // Undoing the later write brings back the earlier one
+      const later = last.newStatus === 'absent' ? { cookie: first, undoId: a.body.undoId } : { cookie: second, undoId: b.body.undoId };
+      const undo = await server.request('POST', '/api/undo', { cookie: later.cookie, body: { undoId: later.undoId } });
+      assert.equal(undo.status, 200);
+      assert.equal(await getStatus(), previous.newStatus);
+    }
+  });
+  
+  await t.test('records comment changes and their undo in the audit log', async () => {
+    await server.request('POST', '/api/attendance/weekly', { cookie: first, body: { dayName, memberId, status: 'remote' } });
+    const response = await server.request('POST', '/api/attendance/comment', { cookie: first, body: { dayName, memberId, comment: '通院' } });
+    assert.equal(response.status, 200);
+    
+    const audit = await server.request('GET', `/api/audit?memberId=${memberId}&date=${date}&source=comment_change`, { admin: true });
+    assert.equal(audit.body.entries.length, 1);
+    assert.equal(audit.body.entries[0].oldStatus, 'remote');
+    assert.equal(audit.body.entries[0].newStatus, 'remote');
+    assert.deepEqual(audit.body.entries[0].detail, { oldComment: null, newComment: '通院' });
+    
+    await server.request('POST', '/api/undo', { cookie: first, body: { undoId: response.body.undoId } });
+    const undone = await server.request('GET', `/api/audit?memberId=${memberId}&date=${date}&limit=1`, { admin: true });
+    assert.equal(undone.body.entries[0].source, 'undo');
+    assert.deepEqual(undone.body.entries[0].detail, { oldComment: '通院', newComment: null });
+  });
+});
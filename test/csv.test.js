@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCsv, parseCsv } = require('../src/csv');
+
+test('formatCsv quotes fields with delimiters, quotes and line breaks', () => {
+  assert.equal(formatCsv([['名前', '月'], ['a,b', 'say "hi"'], ['two\nlines', null]]),
+    '名前,月\r\n"a,b","say ""hi"""\r\n"two\nlines",\r\n');
+});
+
+test('formatCsv escapes leading formula characters', () => {
+  assert.equal(formatCsv([['=SUM(A1)', '+1', '-1', '@x', 'ok']]), "'=SUM(A1),'+1,'-1,'@x,ok\r\n");
+});
+
+test('parseCsv handles quotes, CRLF or LF and a BOM', () => {
+  assert.deepEqual(parseCsv('\uFEFF名前,月\r\n"田中, 太郎","say ""hi"""\n佐藤,remote'), [
+    ['名前', '月'],
+    ['田中, 太郎', 'say "hi"'],
+    ['佐藤', 'remote']
+  ]);
+});
+
+test('parseCsv keeps empty fields and ignores a trailing line break', () => {
+  assert.deepEqual(parseCsv('a,,c\r\n,b,\r\n'), [['a', '', 'c'], ['', 'b', '']]);
+});
+
+test('parseCsv reads back what formatCsv writes', () => {
+  const rows = [['名前', 'コメント'], ['田中', 'line1\r\nline2'], ['佐藤', '"quoted", text']];
+  assert.deepEqual(parseCsv(formatCsv(rows)), rows);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { postJson } = require('../src/delivery');
+
+// Local server answering with the given status codes in turn (the last one repeats)
+async function startServer(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  return { url, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('postJson sends JSON with the extra headers', async () => {
+  const server = await startServer([200]);
+  try {
+    const result = await postJson(server.url, { text: 'hello' }, { headers: { 'X-Test': '1' } });
+    assert.deepEqual(result, { ok: true, status: 200, attempts: 1, error: null });
+    assert.equal(server.requests[0].body, '{"text":"hello"}');
+    assert.equal(server.requests[0].headers['content-type'], 'application/json');
+    assert.equal(server.requests[0].headers['x-test'], '1');
+  } finally {
+    await server.close();
+  }
+});
+
+test('postJson retries 5xx and 429 responses', async () => {
+  const server = await startServer([500, 429, 204]);
+  try {
+    const result = await postJson(server.url, {}, { baseDelay: 1 });
+    assert.deepEqual(result, { ok: true, status: 204, attempts: 3, error: null });
+  } finally {
+    await server.close();
+  }
+});
+
+test('postJson gives up after the last retry', async () => {
+  const server = await startServer([503]);
+  try {
+    const result = await postJson(server.url, {}, { retries: 2, baseDelay: 1 });
+    assert.deepEqual(result, { ok: false, status: 503, attempts: 3, error: 'HTTP 503' });
+    assert.equal(server.requests.length, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+test('postJson does not retry other client errors', async () => {
+  const server = await startServer([404, 200]);
+  try {
+    const result = await postJson(server.url, {}, { baseDelay: 1 });
+    assert.deepEqual(result, { ok: false, status: 404, attempts: 1, error: 'HTTP 404' });
+  } finally {
+    await server.close();
+  }
+});
+
+test('postJson resolves with the error when the host is unreachable', async () => {
+  const server = await startServer([200]);
+  await server.close();
+  const result = await postJson(server.url, {}, { retries: 1, baseDelay: 1 });
+  assert.equal(result.ok, false);
+  assert.equal(result.status, null);
+  assert.equal(result.attempts, 2);
+  assert.ok(result.error);
+});
@@ -0,0 +1,79 @@
+// Start the real server on a free port with a fresh database in a temporary
+// directory, for tests that go through the HTTP API.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendcard-test-'));
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '../src/server.js')], {
+    env: { ...process.env, ...env, PORT: String(port), DATABASE_PATH: path.join(dataDir, 'attendance.db'), ADMIN_TOKEN },
+    stdio: 'ignore'
+  });
+  const baseUrl = `http://127.0.0.1:${port}`;
+  
+  async function request(method, url, { body, headers = {}, admin = false, cookie } = {}) {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(admin ? { 'X-Admin-Token': ADMIN_TOKEN } : {}),
+        ...(cookie ? { Cookie: cookie } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  }
+  
+  // Issue a setup code as admin and log the member in; returns the session cookie
+  async function login(memberId, password = 'secret1') {
+    const { body: { setupCode } } = await request('DELETE', `/api/members/${memberId}/password`, { admin: true });
+    const response = await request('POST', '/api/auth/login', { body: { memberId, password, setupCode } });
+    return response.headers.get('set-cookie').split(';')[0];
+  }
+  
+  async function stop() {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+  
+  const deadline = Date.now() + 15000;
+  for (;;) {
+    try {
+      await fetch(`${baseUrl}/api/team`);
+      break;
+    } catch (error) {
+      if (child.exitCode !== null || Date.now() > deadline) {
+        await stop();
+        throw new Error('Server did not start');
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  
+  return { baseUrl, request, login, stop };
+}
+
+module.exports = { startServer };
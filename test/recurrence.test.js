@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesRule } = require('../src/recurrence');
+
+test('weekly rules repeat every intervalWeeks weeks from the start date', () => {
+  // Wednesday 2026-10-21, every other week
+  const rule = { kind: 'weekly', startDate: '2026-10-21', endDate: null, intervalWeeks: 2, dayOfWeek: 3 };
+  assert.equal(matchesRule(rule, '2026-10-21'), true);
+  assert.equal(matchesRule(rule, '2026-10-28'), false);
+  assert.equal(matchesRule(rule, '2026-11-04'), true);
+  assert.equal(matchesRule(rule, '2026-11-05'), false);
+});
+
+test('rules only apply between startDate and endDate (inclusive)', () => {
+  const rule = { kind: 'weekly', startDate: '2026-10-21', endDate: '2026-11-04', intervalWeeks: 1, dayOfWeek: 3 };
+  assert.equal(matchesRule(rule, '2026-10-14'), false);
+  assert.equal(matchesRule(rule, '2026-11-04'), true);
+  assert.equal(matchesRule(rule, '2026-11-11'), false);
+});
+
+test('monthly rules match the nth weekday of the month', () => {
+  // Second Tuesday
+  const rule = { kind: 'monthly', startDate: '2026-01-01', endDate: null, weekOfMonth: 2, dayOfWeek: 2 };
+  assert.equal(matchesRule(rule, '2026-10-13'), true);
+  assert.equal(matchesRule(rule, '2026-10-06'), false);
+  assert.equal(matchesRule(rule, '2026-10-14'), false);
+  assert.equal(matchesRule(rule, '2026-11-10'), true);
+});
+
+test('monthly rules with weekOfMonth -1 match the last weekday of the month', () => {
+  // Last Friday
+  const rule = { kind: 'monthly', startDate: '2026-01-01', endDate: null, weekOfMonth: -1, dayOfWeek: 5 };
+  assert.equal(matchesRule(rule, '2026-10-30'), true);
+  assert.equal(matchesRule(rule, '2026-10-23'), false);
+  assert.equal(matchesRule(rule, '2026-02-27'), true);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimeZone,
+  getZonedDateString,
+  zonedTimeToUtc,
+  getZonedDateTime,
+  getNextScheduledTime
+} = require('../src/time');
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('Asia/Tokyo'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});
+
+test('getZonedDateString uses the wall-clock date of the time zone', () => {
+  // 2026-10-19 20:30 UTC is already the 20th in Tokyo
+  const instant = new Date('2026-10-19T20:30:00Z');
+  assert.equal(getZonedDateString(instant, 'UTC'), '2026-10-19');
+  assert.equal(getZonedDateString(instant, 'Asia/Tokyo'), '2026-10-20');
+  assert.equal(getZonedDateString(instant, 'America/Los_Angeles'), '2026-10-19');
+});
+
+test('zonedTimeToUtc converts a local time to the matching instant', () => {
+  assert.equal(zonedTimeToUtc(2026, 10, 20, 9, 0, 'Asia/Tokyo').toISOString(), '2026-10-20T00:00:00.000Z');
+  // New York is UTC-4 in summer and UTC-5 in winter
+  assert.equal(zonedTimeToUtc(2026, 7, 1, 12, 0, 'America/New_York').toISOString(), '2026-07-01T16:00:00.000Z');
+  assert.equal(zonedTimeToUtc(2026, 12, 1, 12, 0, 'America/New_York').toISOString(), '2026-12-01T17:00:00.000Z');
+});
+
+test('getZonedDateTime reads a YYYY-MM-DD date and HH:MM time', () => {
+  assert.equal(getZonedDateTime('2026-10-20', '10:30', 'Asia/Tokyo').toISOString(), '2026-10-20T01:30:00.000Z');
+});
+
+test('getNextScheduledTime picks the next allowed day after now', () => {
+  const weekdays = [1, 2, 3, 4, 5];
+  // Monday 2026-10-19 12:00 JST: 13:00 the same day is still ahead
+  const monday = new Date('2026-10-19T03:00:00Z');
+  assert.equal(getNextScheduledTime('13:00', 'Asia/Tokyo', weekdays, monday).toISOString(), '2026-10-19T04:00:00.000Z');
+  // Friday 2026-10-23 14:00 JST: the next run is on Monday
+  const friday = new Date('2026-10-23T05:00:00Z');
+  assert.equal(getNextScheduledTime('13:00', 'Asia/Tokyo', weekdays, friday).toISOString(), '2026-10-26T04:00:00.000Z');
+});
+
+test('getNextScheduledTime returns null without allowed days', () => {
+  assert.equal(getNextScheduledTime('13:00', 'Asia/Tokyo', []), null);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+test('webhooks API', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  
+  await t.test('stores the URL percent-encoded so it cannot inject markup', async () => {
+    const url = 'https://example.com/hook"><img src=x onerror=alert(1)>';
+    const created = await server.request('POST', '/api/webhooks', { admin: true, body: { url, events: ['member.added'] } });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.url, 'https://example.com/hook%22%3E%3Cimg%20src=x%20onerror=alert(1)%3E');
+    
+    const list = await server.request('GET', '/api/webhooks', { admin: true });
+    assert.equal(list.body.length, 1);
+    assert.equal(list.body[0].url, created.body.url);
+    assert.doesNotMatch(list.body[0].url, /[<>"]/);
+  });
+  
+  await t.test('rejects URLs that are not http(s)', async () => {
+    for (const url of ['javascript:alert(1)', 'not a url', '']) {
+      const response = await server.request('POST', '/api/webhooks', { admin: true, body: { url, events: ['member.added'] } });
+      assert.equal(response.status, 400);
+    }
+  });
+  
+  await t.test('normalizes the reminder webhook URL in settings too', async () => {
+    const response = await server.request('PUT', '/api/settings', {
+      admin: true,
+      body: { reminderWebhookUrl: 'https://example.com/x" autofocus onfocus="alert(1)' }
+    });
+    assert.equal(response.status, 200);
+    assert.doesNotMatch(response.body.reminderWebhookUrl, /"/);
+  });
+});